@@ -12,7 +12,8 @@ const util = require("./util.js");
 // into a few sections.
 //
 // The first section defines elementary buffer operations, such as pushing text
-// onto the buffer or retrieving the content of the buffer.
+// onto the buffer or retrieving the content of the buffer. It also defines
+// snapshots, which let a menu button undo what it did to the buffer.
 //
 // The second section defines buffer write procedures. These are the types of
 // operations that are exposed to enable clients (namely menu buttons to write
@@ -83,6 +84,17 @@ function buffer(speaker) {
         update();
     }
 
+    function snapshot() {
+        // Return a procedure that puts the buffer back the way it is now.
+        let saved = bufferText;
+        return function() {
+            bufferText = saved;
+            update();
+            emitChange();
+            return true;
+        };
+    }
+
     const isTerminalPunctuation = (char) => char.match(/[.!?]/) !== null;
 
     const isBufferWordStart = () => getText() === "" || getText().slice(-1) == " ";
@@ -156,8 +168,8 @@ function buffer(speaker) {
     registerAction("delete", deleteText);
 
     function readBuffer(cb) {
-        let afterBeep = () => speaker.speakAsync(getText(), cb,
-                                                 bufferElem, AFTER_READ_WAIT);
+        let afterBeep = () => speaker.speakAsync(getText(), cb, bufferElem,
+                                                 AFTER_READ_WAIT, "output");
         speaker.beep(BEEP_FREQ, BEEP_DURATION);
         setTimeout(afterBeep, BEEP_DURATION + AFTER_BEEP_WAIT);
     }
@@ -177,6 +189,7 @@ function buffer(speaker) {
     // The returned object
     let that = {
         getText: getText,
+        snapshot: snapshot,
         write: function(text, type) {
             // Write to the buffer, dispatching on category.
             let writer = writers[type];
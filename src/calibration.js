@@ -0,0 +1,208 @@
+"use strict";
+
+// ************************************************************************** //
+
+// This module exposes the procedure "calibration", the constructor for the
+// calibration wizard. The wizard lets the user, or a family member with no
+// technical training, calibrate the gaze detector without touching the
+// template buttons. When the "Calibrate" button is pressed, the wizard talks
+// the user through each step:
+//   1. Rest: "look straight ahead". After a spoken countdown, a burst of rest
+//      samples is captured.
+//   2. Gaze: "look up", and likewise for the gaze samples.
+//   3. Check: the two sets of samples must be told apart clearly enough. If
+//      not, the wizard starts over, up to a few times.
+//   4. Practice: the user gazes up a few times, on a beep. The gaze speed is
+//      set just below the shortest of these gazes, so that the user's natural
+//      gazes are accepted while shorter glances are not.
+// The samples are saved by the gaze detector as usual. The result of the
+// calibration is saved with the user preferences.
+
+// ************************************************************************** //
+
+module.exports = calibration;
+
+function calibration(detector, settings, speaker) {
+    // Constructor for the calibration wizard. The wizard runs when its button
+    // is pressed, so the returned object has no methods.
+
+    // Constants
+    const COUNTDOWN = 3;          // Count down from 3 before each capture.
+    const MIN_SEPARATION = 1.5;   // Gaze samples must be 1.5 times further from the rest samples than from each other.
+    const MAX_ATTEMPTS = 3;       // Give up after three tries at capturing.
+    const N_PRACTICE = 3;         // Number of practice gazes.
+    const PRACTICE_TIMEOUT = 8000;     // Wait 8 s for each practice gaze.
+    const PRACTICE_PAUSE = 1500;  // Rest 1.5 s between practice gazes.
+    const SPEED_FRACTION = 0.6;   // The gaze speed is 60% of the shortest practice gaze,
+    const MIN_SPEED = 0.1;        // between 0.1 s
+    const MAX_SPEED = 1;          // and 1 s.
+    const BEEP_FREQ = 500;        // The beep calling for a practice gaze.
+    const BEEP_DURATION = 200;
+
+    const PHRASES = {
+        intro: { en: "Let's calibrate. Please follow my instructions.",
+                 fr: "Calibrons. Suivez mes instructions.",
+                 es: "Vamos a calibrar. Siga mis instrucciones." },
+        rest: { en: "Look straight ahead, and keep still.",
+                fr: "Regardez droit devant vous, sans bouger.",
+                es: "Mire al frente, sin moverse." },
+        gaze: { en: "Now look up, and hold it.",
+                fr: "Maintenant regardez en haut, et restez ainsi.",
+                es: "Ahora mire hacia arriba, y manténgase así." },
+        captured: { en: "Got it.", fr: "C'est fait.", es: "Listo." },
+        retry: { en: "The two positions look too alike. Let's try again.",
+                 fr: "Les deux positions se ressemblent trop. Recommençons.",
+                 es: "Las dos posiciones se parecen demasiado. Intentémoslo de nuevo." },
+        failed: { en: "Calibration failed. Try moving the camera closer, or ask for help.",
+                  fr: "La calibration a échoué. Rapprochez la caméra, ou demandez de l'aide.",
+                  es: "La calibración falló. Acerque la cámara, o pida ayuda." },
+        practice: { en: "Now let's practice. Each time you hear a beep, look up, then look back down.",
+                    fr: "Maintenant, pratiquons. À chaque bip, regardez en haut, puis revenez.",
+                    es: "Ahora practiquemos. Con cada pitido, mire hacia arriba y luego vuelva." },
+        noPractice: { en: "I didn't see any gazes, so the gaze speed is unchanged.",
+                      fr: "Je n'ai vu aucun regard, la vitesse du regard est inchangée.",
+                      es: "No vi ninguna mirada, la velocidad de mirada no cambia." },
+        done: { en: "Calibration finished.",
+                fr: "Calibration terminée.",
+                es: "Calibración terminada." }
+    };
+    const speedPhrase = (speed) => ({ en: `Gaze speed set to ${speed} seconds.`,
+                                      fr: `Vitesse du regard réglée à ${speed} secondes.`,
+                                      es: `Velocidad de mirada fijada en ${speed} segundos.` });
+
+    // Private variables
+    let calibrateButton = document.querySelector("input[type=button][name=calibrate]");
+    let statusElem = document.getElementById("calibrationStatus");
+    let attempt = 0;
+    let result = {};
+
+    // Private methods
+    const getLanguage = settings.getLanguageSettings().getLanguage;
+
+    function say(phrase, cb) {
+        // Show a phrase and speak it, then invoke the callback.
+        statusElem.textContent = phrase[getLanguage()] || phrase.en;
+        speaker.speakAsync(phrase, cb, statusElem, 500);
+    }
+
+    function countdown(n, cb) {
+        // Count down out loud, one number a second, then invoke the callback.
+        if (n === 0) {
+            cb();
+        } else {
+            statusElem.textContent = n;
+            speaker.speakSync(String(n));
+            setTimeout(() => countdown(n - 1, cb), 1000);
+        }
+    }
+
+    function capturePose(name, cb) {
+        // Tell the user to take a pose, then replace its samples with new ones.
+        let sampleSet = detector.getSampleSet(name);
+        say(PHRASES[name], () => countdown(COUNTDOWN, function() {
+            sampleSet.clear();
+            sampleSet.capture(() => say(PHRASES.captured, cb));
+        }));
+    }
+
+    function captureAll() {
+        // Capture both poses, then check them.
+        attempt += 1;
+        capturePose("rest", () => capturePose("gaze", check));
+    }
+
+    function check() {
+        // Make sure that the poses can be told apart, or try again.
+        result.separation = detector.getSeparation();
+        if (result.separation >= MIN_SEPARATION) {
+            say(PHRASES.practice, practice);
+        } else if (attempt < MAX_ATTEMPTS) {
+            say(PHRASES.retry, captureAll);
+        } else {
+            say(PHRASES.failed, finish);
+        }
+    }
+
+    function practice() {
+        // Ask for a few gazes on a beep, and time them. Only the first gaze
+        // after each beep counts; others, and gestures during the pauses, are
+        // ignored.
+        let durations = [];
+        let startTime = null;
+        let round = 0;
+        let awaiting = false;   // Is a gaze called for (the beep has sounded, and no gaze has ended since)?
+        let timeout, pause;
+
+        function onBegin() {
+            if (awaiting) {
+                startTime = new Date();
+            }
+        }
+        function onEnd() {
+            if (awaiting && startTime !== null) {
+                durations.push(new Date() - startTime);
+                startTime = null;
+                awaiting = false;
+                clearTimeout(timeout);
+                clearTimeout(pause);
+                pause = setTimeout(next, PRACTICE_PAUSE);
+            }
+        }
+        function next() {
+            // Call for the next gaze, or finish practicing.
+            awaiting = false;
+            if (round === N_PRACTICE) {
+                detector.removeBeginListener(onBegin);
+                detector.removeEndListener(onEnd);
+                detector.idleMode();
+                suggestSpeed(durations);
+            } else {
+                round += 1;
+                startTime = null;
+                awaiting = true;
+                speaker.beep(BEEP_FREQ, BEEP_DURATION);
+                timeout = setTimeout(next, PRACTICE_TIMEOUT);
+            }
+        }
+
+        detector.addBeginListener(onBegin);
+        detector.addEndListener(onEnd);
+        detector.listenMode();
+        next();
+    }
+
+    function suggestSpeed(durations) {
+        // Set the gaze speed from the practice gazes.
+        if (durations.length === 0) {
+            say(PHRASES.noPractice, finish);
+            return;
+        }
+        let shortest = Math.min(...durations) / 1000;
+        let speed = Math.min(Math.max(shortest * SPEED_FRACTION, MIN_SPEED), MAX_SPEED);
+        speed = Math.round(speed * 100) / 100;
+        settings.setGazeSpeed(speed);
+        result.gazeSpeed = speed;
+        say(speedPhrase(speed), () => say(PHRASES.done, finish));
+    }
+
+    function finish() {
+        // Save the result, and let the wizard be run again.
+        result.finished = new Date().toISOString();
+        settings.setPreference("calibration", result);
+        calibrateButton.disabled = false;
+    }
+
+    function start() {
+        // Stop any scan, switch to the gaze detector, and begin.
+        detector.stop();
+        detector.selectDetector("gaze");
+        calibrateButton.disabled = true;
+        attempt = 0;
+        result = {};
+        say(PHRASES.intro, captureAll);
+    }
+
+    // Bind event handler and return.
+    calibrateButton.addEventListener("click", start);
+    return {};
+}
@@ -1,7 +1,11 @@
 "use strict";
 
 const EventEmitter = require("events");
+const fs = require("fs");
+const nodePath = require("path");
 const util = require("./util.js");
+const distance = require("./distance.js");
+const { preprocess } = require("./preprocess.js");
 
 // ************************************************************************** //
 
@@ -10,24 +14,128 @@ const util = require("./util.js");
 // object can be set to detect different types of gestures.
 // At present two gestures are implemented: a detector recognizing an upward
 // gaze can be constructed using makeGazeDetector, while a detector for
-// recognizing the pressing of the "shift" key can be constructed using
-// makeKeyDetector. This detector is of most use for debugging.
+// recognizing the pressing of a key (e.g. from an adaptive switch) can be
+// constructed using makeKeyDetector. The replay detector, made by
+// makeReplayDetector, runs the gaze detector's logic on a recording rather
+// than the live camera, for tuning and troubleshooting. Switches on a game
+// controller are read by makeGamepadDetector, and short sounds or puffs into
+// a microphone are recognized by makeSoundDetector. makeBlinkDetector looks
+// for the eye closing by following the changes from frame to frame, without
+// templates.
 // New detector constructors can be registered using registerConstructor.
+// Detectors can also be added without changing this file, as plugins: each
+// JavaScript file in the plugins folder is loaded at startup and registered
+// (see loadPlugins).
 // The UI presents a dropdown menu allowing for the selection of a detection
 // mode. It generates that menu based on all available constructors in the
-// global "constructors" table.
+// global "constructors" table. Settings that only apply to one type of
+// detector are kept in DOM elements with a data-detector-settings attribute
+// naming the type; they are only shown while that detector is selected.
 // The exported detector constructor creates an object that encapsulates a
 // specific detector type. When the user selects a new detector type from the
 // dropdown, the constructor for that specific detector is called, and the newly
 // created object is set as the prototype for the wrapper object created by
 // "detector".
 
+// The gestures that the camera detectors can tell apart, besides rest. "gaze"
+// is the upward gaze, and the gesture reported by detectors that only have
+// one (e.g. a switch). The others are only detected if the user has captured
+// samples for them.
+const DEFAULT_GESTURE = "gaze";
+const GESTURES = [DEFAULT_GESTURE, "left", "right", "closed"];
+
+let shared = {};
+function getShared(name, constructor) {
+    // Some objects are bound to unique DOM elements (e.g. the video feed), so
+    // they are constructed once and shared by every detector that uses them.
+    if (shared[name] === undefined) {
+        shared[name] = constructor();
+    }
+    return shared[name];
+}
+
 let constructors = {};
 function registerConstructor(type, constructor) {
     // Register a detector constructor.
     constructors[type] = constructor;
 }
 
+// The methods that every detector must expose to the rest of the program.
+const CONTRACT = ["idleMode", "listenMode", "scanMode",
+                  "addBeginListener", "addEndListener",
+                  "removeBeginListener", "removeEndListener"];
+
+function checkContract(type, instance) {
+    // Make sure that a newly constructed detector exposes the contract.
+    let missing = CONTRACT.filter((method) => typeof instance[method] !== "function");
+    if (missing.length > 0) {
+        throw new Error(`Detector "${type}" lacks ${missing.join(", ")}.`);
+    }
+}
+
+function loadPlugins(spec) {
+    // Load the detector plugins. A plugin is a module in the plugins folder
+    // that exports:
+    //  name: The name of the detector, as shown in the dropdown menu.
+    //  constructor: A function (spec, my, base) that creates the detector,
+    //      like the constructors below. base holds makeGenericDetector, which
+    //      a plugin may build on to get the status display, the event
+    //      emitter and the debouncer for free, as well as the gesture names.
+    //  settingsUI (optional): A function (container, settings) that fills in
+    //      a column of the advanced settings, shown while the detector is
+    //      selected. Values can be kept with settings.getPreference and
+    //      settings.setPreference.
+    // A plugin that fails to load, or doesn't export a name and a
+    // constructor, is skipped with a message on the console. So is a plugin
+    // whose name is already taken.
+
+    // Constants
+    const PLUGIN_DIR = "./plugins";
+    const base = { makeGenericDetector, DEFAULT_GESTURE, GESTURES };
+
+    if (!fs.existsSync(PLUGIN_DIR)) {
+        return;
+    }
+    let files = fs.readdirSync(PLUGIN_DIR).filter((file) => nodePath.extname(file) === ".js");
+    files.forEach(function(file) {
+        let plugin;
+        try {
+            plugin = require(nodePath.resolve(PLUGIN_DIR, file));
+        } catch (e) {
+            console.log(`Could not load the plugin ${file}: ${e.message}`);
+            return;
+        }
+        // Every object has a constructor property, so it must be the plugin's own.
+        if (typeof plugin.name !== "string" || !plugin.hasOwnProperty("constructor") ||
+            typeof plugin.constructor !== "function") {
+            console.log(`The plugin ${file} must export a name and a constructor.`);
+        } else if (constructors[plugin.name] !== undefined) {
+            console.log(`The plugin ${file} uses the name "${plugin.name}", which is taken.`);
+        } else {
+            registerConstructor(plugin.name, (spec, my) => plugin.constructor(spec, my, base));
+            if (typeof plugin.settingsUI === "function") {
+                addPluginSettings(plugin, spec.settings);
+            }
+        }
+    });
+}
+
+function addPluginSettings(plugin, settings) {
+    // Add a column to the advanced settings for a plugin, and let the plugin fill it in.
+    let container = document.createElement("div");
+    container.className = "padSurround floatLeft settingsColumn";
+    container.dataset.detectorSettings = plugin.name;
+    let heading = document.createElement("h4");
+    heading.textContent = util.capitalize(plugin.name);
+    container.appendChild(heading);
+    document.getElementById("advancedSettings").appendChild(container);
+    try {
+        plugin.settingsUI(container, settings);
+    } catch (e) {
+        console.log(`The settings of the plugin ${plugin.name} failed: ${e.message}`);
+    }
+}
+
 function detector(spec) {
     // Create the detector object exposed to the rest of the program. This
     // object is merely a wrapper around an object created by one of the
@@ -35,9 +143,35 @@ function detector(spec) {
     // when the user selects a new detector; this means that, to the rest of the
     // program, nothing changes. It can interact with the same wrapper,
     // regardless of the implementation chosen by the user.
+    // All detectors share the monitor, an event emitter that reports what
+    // the active detector is doing (measurements and gestures) to the
+    // diagnostics display. Since it is shared, listeners added to it keep
+    // working when the user switches detectors.
+    // Stopping goes through the wrapper as well: whatever stops the program
+    // (the stop button, the end of a replay, the calibration wizard) calls
+    // stop, and whatever drives the detector (the scanner) listens for it.
     let DEFAULT_MODE = "gaze";
     let detElem = document.querySelector("select[name=detector]");
-    let that = Object.create(constructors[DEFAULT_MODE](spec));
+    let monitor = new EventEmitter();
+    let stopper = new EventEmitter();
+    let instances = {};         // Each detector is only constructed once.
+    spec = Object.assign({ monitor, stop: () => that.stop() }, spec);
+    let that = Object.create(getInstance(DEFAULT_MODE));
+    let activeKey = DEFAULT_MODE;
+
+    function getInstance(key) {
+        // Return the detector of the given type, constructing it the first
+        // time it is asked for. Constructing a detector binds its event
+        // handlers, so constructing it twice would bind them twice.
+        // Detectors from plugins may not respect the contract, so it is
+        // checked before the detector is used.
+        if (instances[key] === undefined) {
+            let instance = constructors[key](spec);
+            checkContract(key, instance);
+            instances[key] = instance;
+        }
+        return instances[key];
+    }
 
     function populateOptions() {
         // Initialize the dropdown list of available detectors.
@@ -51,19 +185,61 @@ function detector(spec) {
         detElem.value = DEFAULT_MODE;
     }
 
+    function showSettings(key) {
+        // Show the settings for the selected detector, and hide the others.
+        let elems = document.querySelectorAll("[data-detector-settings]");
+        [].forEach.call(elems, (elem) => elem.hidden = elem.dataset.detectorSettings !== key);
+    }
+
     function change(e) {
         // To be executed when the user selects a different detector.
+        // The old detector is stopped, so that it no longer reads its input.
+        // If the new detector can't be constructed, the old one stays selected.
         let key = e ? e.target.value : DEFAULT_MODE;
-        let activeDetector = constructors[key](spec);
+        let activeDetector;
+        try {
+            activeDetector = getInstance(key);
+        } catch (err) {
+            console.log(err.message);
+            detElem.value = activeKey;
+            return;
+        }
+        that.idleMode();
         Object.setPrototypeOf(that, activeDetector);
+        activeKey = key;
+        showSettings(key);
     }
 
+    loadPlugins(spec);
     populateOptions();
+    showSettings(DEFAULT_MODE);
     detElem.addEventListener("change", change);
+    that.selectDetector = function(key) {
+        // Switch detectors from the program, as if the user had picked one.
+        detElem.value = key;
+        change({ target: detElem });
+    };
+    that.addMonitorListener = (event, listener) => monitor.addListener(event, listener);
+    that.stop = function() {
+        // Stop the scanner, if it is running, and leave the detector idle.
+        stopper.emit("stop");
+        that.idleMode();
+    };
+    that.addStopListener = (listener) => stopper.addListener("stop", listener);
+    that.removeStopListener = (listener) => stopper.removeListener("stop", listener);
+    that.sleepMode = function() {
+        // sleepMode isn't part of the contract, since plugins that don't
+        // build on makeGenericDetector may lack it. These just listen.
+        let active = getInstance(activeKey);
+        (typeof active.sleepMode === "function" ? active.sleepMode : active.listenMode)();
+    };
     return that;
 }
 
 module.exports = detector;
+detector.registerConstructor = registerConstructor;
+detector.makeGenericDetector = makeGenericDetector;
+detector.GESTURES = GESTURES;
 
 // ************************************************************************** //
 
@@ -88,14 +264,24 @@ function makeGenericDetector(spec, my) {
         status: null,
         statusMap: { idle: {en: "idle", fr: "repos", es: "inactivo"},
                      listening: {en: "waiting", fr: "attendre", es: "a la espera"},
-                     scanning: {en: "scanning", fr: "balayage", es: "barrido"} }
+                     scanning: {en: "scanning", fr: "balayage", es: "barrido"},
+                     sleeping: {en: "sleeping", fr: "en veille", es: "dormido"},
+                     unavailable: {en: "unavailable", fr: "indisponible", es: "no disponible"} }
     };
     Object.assign(my, myData);
 
     // Private methods.
     let myMethods1 = {
-        emitGestureStart: () => my.emitter.emit("gestureBegin"),
-        emitGestureEnd: () => my.emitter.emit("gestureEnd"),
+        emitGestureStart: function(gesture = DEFAULT_GESTURE) {
+            my.recorder.recordEvent("gestureBegin", gesture);
+            my.monitor.emit("gestureBegin", gesture);
+            my.emitter.emit("gestureBegin", gesture);
+        },
+        emitGestureEnd: function(gesture = DEFAULT_GESTURE) {
+            my.recorder.recordEvent("gestureEnd", gesture);
+            my.monitor.emit("gestureEnd", gesture);
+            my.emitter.emit("gestureEnd", gesture);
+        },
         setStatusText: function(status, language) {
             // Update the actual text in the DOM indicating the detector status.
             let p = my.statusElem.querySelector("p");
@@ -104,18 +290,20 @@ function makeGenericDetector(spec, my) {
         }
     };
     Object.assign(my, myMethods1);
+    // The debouncer is shared by all detectors that sample their input
+    // repeatedly (e.g. camera frames), rather than receiving discrete events.
+    my.debouncer = makeDebouncer(my.settings, my.emitGestureStart, my.emitGestureEnd);
     // More private methods, which rely on those above.
     let myMethods2 = {
         setStatus: function(newStatus) {
             // Update the status of the detector object.
-            let oldStatus = my.status;
+            // The status element is shared by all detectors, so every status
+            // class is removed rather than just this detector's previous one.
             let language = my.settings.getLanguageSettings().getLanguage();
             my.status = newStatus;
             my.setStatusText(my.status, language);
-            if (oldStatus !== undefined) {
-                my.statusElem.classList.toggle(oldStatus);
-            }
-            my.statusElem.classList.toggle(my.status);
+            Object.keys(my.statusMap).forEach((status) => my.statusElem.classList.remove(status));
+            my.statusElem.classList.add(my.status);
         },
         translateStatus: function() {
             // Translate the detector status without changing it. To be invoked
@@ -128,9 +316,18 @@ function makeGenericDetector(spec, my) {
 
     // Public objects.
     let that = {
-        idleMode: () => my.setStatus("idle"),
+        idleMode: function() {
+            my.setStatus("idle");
+            my.debouncer.reset();
+        },
         listenMode: () => my.setStatus("listening"),
         scanMode: () => my.setStatus("scanning"),
+        sleepMode: function() {
+            // While the user sleeps, keep watching as when listening; the
+            // scanner ignores everything but the wake gesture.
+            that.listenMode();
+            my.setStatus("sleeping");
+        },
         addBeginListener: (listener) => my.emitter.addListener("gestureBegin", listener),
         addEndListener: (listener) => my.emitter.addListener("gestureEnd", listener),
         removeBeginListener: (listener) => my.emitter.removeListener("gestureBegin", listener),
@@ -143,33 +340,181 @@ function makeGenericDetector(spec, my) {
     return that;
 }
 
+function makeDebouncer(settings, onBegin, onEnd) {
+    // Create a state machine that turns a noisy stream of observations into
+    // clean gesture events. Each observation says which gesture a single
+    // sample of the input (e.g. one camera frame) looks like: the name of the
+    // gesture, or null for rest. Detectors with a single gesture may simply
+    // observe true or false; true stands for the default gesture. A gesture
+    // only begins after a run of consecutive observations of it, and only
+    // ends after a run of consecutive observations of anything else; the
+    // lengths of the runs are set by the user. A single noisy frame therefore
+    // can't start, stop, or change a gesture. onBegin and onEnd are invoked
+    // with the name of the gesture.
+
+    // Private variables
+    let active = null;          // The gesture in progress, if any.
+    let candidate = null;       // The gesture that the current run would begin.
+    let count = 0;              // Consecutive observations contradicting the current state.
+
+    // The returned object.
+    let that = {
+        isActive: () => active !== null,
+        getGesture: () => active,
+        observe: function(gesture) {
+            // Record an observation, and begin or end a gesture if it completes a run.
+            if (gesture === true) {
+                gesture = DEFAULT_GESTURE;
+            } else if (!gesture) {
+                gesture = null;
+            }
+            if (gesture === active) {
+                count = 0;
+                return;
+            }
+            if (active === null && gesture !== candidate) {
+                candidate = gesture;    // A run of a different gesture starts over.
+                count = 0;
+            }
+            count += 1;
+            let needed = active === null ? settings.getEnterFrames() : settings.getExitFrames();
+            if (count >= needed) {
+                count = 0;
+                if (active === null) {
+                    active = candidate;
+                    onBegin(active);
+                } else {
+                    let ended = active;
+                    active = null;
+                    onEnd(ended);
+                }
+            }
+        },
+        reset: function() {
+            // Return to rest without emitting anything. For when the detector stops.
+            active = null;
+            candidate = null;
+            count = 0;
+        }
+    };
+
+    return that;
+}
+
 // ************************************************************************** //
 
 function makeKeyDetector(spec, my) {
-    // Create a detector that awaits a press of the "shift" key from the
-    // user. For debugging purposes mainly.
+    // Create a detector that treats holding down a key as the gesture. This
+    // serves users of adaptive switches, which usually show up as a
+    // keyboard. The trigger keys are learned: the caregiver presses "learn",
+    // presses the key(s) the switch sends, then presses "done". The keys are
+    // saved with the user preferences. The gesture begins when one of the keys
+    // goes down and ends when all of them are released. Repeated keydown
+    // events from a key held down are ignored, and so is typing into the
+    // text fields of the settings.
+    // Users with two switches can teach the detector the keys of the second
+    // switch too. It reports its own gesture, "switch2", so that the two
+    // switches can be given different actions (e.g. in step scanning).
+
+    // Constants
+    const SWITCHES = [{ gesture: DEFAULT_GESTURE,
+                        preference: "switchKeys",
+                        defaultKeys: ["ShiftLeft", "ShiftRight"],
+                        keysId: "switchKeys",
+                        learnName: "learnKeys" },
+                      { gesture: "switch2",
+                        preference: "switch2Keys",
+                        defaultKeys: [],
+                        keysId: "switch2Keys",
+                        learnName: "learnKeys2" }];
 
     my = my || {};
     let that = makeGenericDetector(spec, my);
 
-    function emitIfShift(event, signal) {
-        let conditions = [!event.altKey,
-                          !event.ctrlKey,
-                          !event.metaKey,
-                          event.keyIdentifier === "Shift" ];
-        if (util.all(conditions)) {
-            signal();
-        }
-    }
+    let myData = {
+        switches: SWITCHES.map((sw) => Object.assign({
+            keys: my.settings.getPreference(sw.preference) || sw.defaultKeys,
+            held: new Set(),    // The trigger keys currently down.
+            keysElem: document.getElementById(sw.keysId),
+            learnButton: document.querySelector(`input[type=button][name=${sw.learnName}]`)
+        }, sw)),
+        learning: null,         // While learning, the switch being learned.
+        learned: [],            // While learning, the keys pressed so far.
+        learnText: { learn: {en: "Learn", fr: "Apprendre", es: "Aprender"},
+                     done: {en: "Done", fr: "Terminé", es: "Hecho"} }
+    };
+    Object.assign(my, myData);
 
-    let myExtensions = {
-        onKeyDown: (e) => emitIfShift(e, my.emitGestureStart),
-        onKeyUp: (e) => emitIfShift(e, my.emitGestureEnd)
+    let myMethods = {
+        isTyping: (event) => event.target.matches("input[type=text], input[type=password], input[type=number]"),
+        findSwitch: (code) => my.switches.find((sw) => sw.keys.indexOf(code) !== -1),
+        showKeys: function() {
+            // Display the trigger keys, and the labels for the learn buttons.
+            let language = my.settings.getLanguageSettings().getLanguage();
+            my.switches.forEach(function(sw) {
+                let isLearning = my.learning === sw;
+                sw.keysElem.textContent = (isLearning ? my.learned : sw.keys).join(", ");
+                sw.learnButton.value = my.learnText[isLearning ? "done" : "learn"][language];
+            });
+        },
+        toggleLearning: function(sw) {
+            // Start learning the keys of a switch, or finish and save the keys learned.
+            if (my.learning === null) {
+                my.learning = sw;
+                my.learned = [];
+            } else if (my.learning === sw) {
+                if (my.learned.length > 0) {
+                    sw.keys = my.learned;
+                    my.settings.setPreference(sw.preference, sw.keys);
+                }
+                my.learning = null;
+            }
+            my.showKeys();
+        },
+        onKeyDown: function(event) {
+            if (event.repeat || my.isTyping(event)) {
+                return;
+            }
+            let sw = my.findSwitch(event.code);
+            if (my.learning !== null) {
+                event.preventDefault();
+                if (my.learned.indexOf(event.code) === -1) {
+                    my.learned.push(event.code);
+                    my.showKeys();
+                }
+            } else if (my.status !== "idle" && sw !== undefined) {
+                let wasHeld = sw.held.size > 0;
+                sw.held.add(event.code);
+                if (!wasHeld) {
+                    my.emitGestureStart(sw.gesture);
+                }
+            }
+        },
+        onKeyUp: function(event) {
+            my.switches.forEach(function(sw) {
+                if (sw.held.delete(event.code) && sw.held.size === 0) {
+                    my.emitGestureEnd(sw.gesture);
+                }
+            });
+        },
+        releaseAll: function() {
+            // If the window loses focus, the keyup events will never arrive.
+            my.switches.forEach(function(sw) {
+                if (sw.held.size > 0) {
+                    sw.held.clear();
+                    my.emitGestureEnd(sw.gesture);
+                }
+            });
+        }
     };
-    Object.assign(my, myExtensions);
+    Object.assign(my, myMethods);
 
     document.addEventListener("keydown", my.onKeyDown);
     document.addEventListener("keyup", my.onKeyUp);
+    window.addEventListener("blur", my.releaseAll);
+    my.switches.forEach((sw) => sw.learnButton.addEventListener("click", () => my.toggleLearning(sw)));
+    my.settings.getLanguageSettings().addChangeListener(my.showKeys);
+    my.showKeys();
 
     return that;
 }
@@ -177,43 +522,137 @@ registerConstructor("key", makeKeyDetector);
 
 // ************************************************************************** //
 
-function makeGazeDetector(spec, my) {
-    // Creates a gaze detector. This detector respects the interface of the
-    // generic detector. The gesture for which it looks is an upward gaze as
-    // detected by a camera.
+function makeGamepadDetector(spec, my) {
+    // Create a detector for switch interfaces that show up as game
+    // controllers. The detector polls the browser's Gamepad API; the gesture
+    // is holding down a chosen button, or pushing a chosen axis past a
+    // threshold. The caregiver picks the controller and the input from
+    // dropdown menus, or presses "learn" and then the switch. The choice is
+    // saved with the user preferences. Polls are passed through the shared
+    // debouncer, like camera frames.
+    // The Gamepad API can be replaced by passing a getGamepads procedure in
+    // the spec, e.g. to test the detector without a controller attached.
 
     // Constants
-    const REFRESH_RATE_LISTEN = 5; // When listening, check the camera 5 times a second.
-    const REFRESH_RATE_SCAN = 20; // When scanning, check 20 times a second.
+    const POLL_INTERVAL = 20;   // Poll the controller 50 times a second.
 
     my = my || {};
     let that = makeGenericDetector(spec, my);
 
-    let stream = makeVideoStream();
+    let saved = my.settings.getPreference("gamepad") || {};
     let myData = {
-        vs: stream,
-        rest: makeTemplate("rest", stream),
-        gaze: makeTemplate("gaze", stream),
-        state: "rest",
-        interval: null
+        getGamepads: spec.getGamepads || (() => navigator.getGamepads()),
+        padElem: document.querySelector("select[name=gamepad]"),
+        inputElem: document.querySelector("select[name=gamepadInput]"),
+        learnButton: document.querySelector("input[type=button][name=learnGamepad]"),
+        padId: saved.id,
+        input: saved.input || "button:0",
+        learning: null,         // While learning, the axis positions when learning began.
+        timer: null
     };
     Object.assign(my, myData);
 
     let myMethods = {
-        detect: function() {
-            // Compares current video frame to templates. Emits events if change occurred.
-            let streamPixels = my.vs.getPixels();
-            let dRest = l1Distance(streamPixels, my.rest.getPixels());
-            let dGaze = l1Distance(streamPixels, my.gaze.getPixels());
-            let newState = (dGaze < dRest) ? "gaze" : "rest";
-            if (my.state === "rest" & newState === "gaze") {
-                my.emitGestureStart();    // If we went from resting to gazing, then the gaze started.
+        getPads: () => [].filter.call(my.getGamepads(), (pad) => pad !== null && pad !== undefined),
+        getPad: () => my.getPads().find((pad) => pad.id === my.padId),
+        save: () => my.settings.setPreference("gamepad", { id: my.padId, input: my.input }),
+        populate: function() {
+            // Fill the dropdown menus with the connected controllers and the
+            // inputs of the chosen one.
+            let pads = my.getPads();
+            if (my.getPad() === undefined && pads.length > 0) {
+                my.padId = pads[0].id;
+            }
+            my.padElem.innerHTML = "";
+            pads.forEach(function(pad) {
+                let opt = document.createElement("option");
+                opt.value = pad.id;
+                opt.text = pad.id;
+                my.padElem.add(opt);
+            });
+            my.padElem.value = my.padId;
+            my.inputElem.innerHTML = "";
+            let pad = my.getPad();
+            let inputs = [];
+            if (pad !== undefined) {
+                pad.buttons.forEach((button, ix) => inputs.push([`button:${ix}`, `Button ${ix}`]));
+                pad.axes.forEach(function(axis, ix) {
+                    inputs.push([`axis:${ix}:1`, `Axis ${ix} +`]);
+                    inputs.push([`axis:${ix}:-1`, `Axis ${ix} -`]);
+                });
             }
-            if (my.state === "gaze" & newState === "rest") {
-                my.emitGestureEnd();      // If we went from gaze to rest, then the gaze ended.
+            inputs.forEach(function([value, text]) {
+                let opt = document.createElement("option");
+                opt.value = value;
+                opt.text = text;
+                my.inputElem.add(opt);
+            });
+            my.inputElem.value = my.input;
+        },
+        isPressed: function(pad, input) {
+            // Is the input (e.g. "button:3", or "axis:1:-1" for axis 1 pushed
+            // in the negative direction) past the threshold?
+            let [type, ix, direction] = input.split(":");
+            let threshold = my.settings.getGamepadThreshold();
+            if (type === "button") {
+                let button = pad.buttons[ix];
+                return button !== undefined && (button.pressed || button.value >= threshold);
+            }
+            return pad.axes[ix] !== undefined && pad.axes[ix] * direction >= threshold;
+        },
+        learn: function(pad) {
+            // Pick the first input to be pressed since learning began. Axes
+            // are compared with their starting positions, since some rest
+            // away from zero.
+            let threshold = my.settings.getGamepadThreshold();
+            let buttonIx = pad.buttons.findIndex((button) => button.pressed || button.value >= threshold);
+            let axisIx = pad.axes.findIndex((axis, ix) => Math.abs(axis - my.learning[ix]) >= threshold);
+            if (buttonIx !== -1) {
+                my.input = `button:${buttonIx}`;
+            } else if (axisIx !== -1) {
+                my.input = `axis:${axisIx}:${Math.sign(pad.axes[axisIx] - my.learning[axisIx])}`;
+            } else {
+                return;
             }
-            my.state = newState;
-            util.setDebug( "dRest: " + util.format("# ### ###.", dRest) + "   dGaze: " + util.format("# ### ###.", dGaze) );
+            my.learning = null;
+            my.save();
+            my.populate();
+            my.updatePolling();
+        },
+        poll: function() {
+            // Read the chosen input and pass it on to the debouncer.
+            let pad = my.getPad();
+            if (pad === undefined) {
+                return;
+            }
+            if (my.learning !== null) {
+                my.learn(pad);
+            } else {
+                my.debouncer.observe(my.isPressed(pad, my.input));
+            }
+        },
+        updatePolling: function() {
+            // Poll while learning, listening, or scanning.
+            window.clearInterval(my.timer);
+            if (my.learning !== null || my.status !== "idle") {
+                my.timer = window.setInterval(my.poll, POLL_INTERVAL);
+            }
+        },
+        startLearning: function() {
+            let pad = my.getPad();
+            if (pad !== undefined) {
+                my.learning = pad.axes.slice();
+                my.updatePolling();
+            }
+        },
+        onPadChange: function() {
+            my.padId = my.padElem.value;
+            my.save();
+            my.populate();
+        },
+        onInputChange: function() {
+            my.input = my.inputElem.value;
+            my.save();
         }
     };
     Object.assign(my, myMethods);
@@ -227,17 +666,396 @@ function makeGazeDetector(spec, my) {
     let thatAssignments = {
         idleMode: function() {
             supers.idleMode();
-            window.clearInterval(my.interval);
+            my.updatePolling();
         },
         listenMode: function() {
             supers.listenMode();
-            window.clearInterval(my.interval);
-            my.interval = window.setInterval(my.detect, 1000 / REFRESH_RATE_LISTEN);
+            my.updatePolling();
         },
         scanMode: function() {
             supers.scanMode();
-            window.clearInterval(my.interval);
-            my.interval = window.setInterval(my.detect, 1000 / REFRESH_RATE_SCAN);
+            my.updatePolling();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    // Bind event handlers, initialize and return.
+    window.addEventListener("gamepadconnected", my.populate);
+    window.addEventListener("gamepaddisconnected", my.populate);
+    my.padElem.addEventListener("change", my.onPadChange);
+    my.inputElem.addEventListener("change", my.onInputChange);
+    my.learnButton.addEventListener("click", my.startLearning);
+    my.populate();
+    return that;
+}
+registerConstructor("gamepad", makeGamepadDetector);
+
+// ************************************************************************** //
+
+function makeSoundDetector(spec, my) {
+    // Create a detector for users who can make a short sound, or puff into a
+    // microphone. The detector measures the loudness (RMS amplitude) of the
+    // microphone input using the Web Audio API, sharing the speaker's audio
+    // context. A sample is loud when it is louder than the background noise
+    // by the factor set by the user, and the gesture is a sound that stays
+    // loud for the minimum time set by the user. Samples are passed through
+    // the shared debouncer, like camera frames.
+    // The background noise is measured by the calibration button, and saved
+    // with the user preferences. The program's own sounds must not trigger
+    // the detector, so the microphone is ignored while the speaker is
+    // speaking or beeping, and for a short time afterwards.
+
+    // Constants
+    const POLL_INTERVAL = 20;        // Measure the loudness 50 times a second.
+    const CALIBRATION_TIME = 3000;   // Listen to the background noise for 3 s.
+    const HOLDOFF = 300;             // Ignore the microphone 300 ms after the speaker goes quiet.
+    const DEFAULT_NOISE = 0.01;      // Background noise assumed until calibration.
+
+    my = my || {};
+    let that = makeGenericDetector(spec, my);
+
+    let myData = {
+        analyser: null,
+        buffer: null,
+        noise: my.settings.getPreference("noiseFloor") || DEFAULT_NOISE,
+        loudSince: null,        // When the current run of loud samples began.
+        quietSince: 0,          // When the speaker last went quiet.
+        calibration: null,      // While calibrating, the loudness of each sample.
+        timer: null,
+        levelElem: document.getElementById("soundLevel"),
+        calibrateButton: document.querySelector("input[type=button][name=calibrateSound]")
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        initMicrophone: function() {
+            // Connect the microphone to an analyser node. The analyser isn't
+            // connected to the speakers, so the input isn't played back.
+            function success(stream) {
+                let context = my.speaker.getAudioContext();
+                my.analyser = context.createAnalyser();
+                my.analyser.fftSize = 1024;
+                my.buffer = new Float32Array(my.analyser.fftSize);
+                context.createMediaStreamSource(stream).connect(my.analyser);
+            }
+            function failure(err) {
+                // No microphone, or no permission to use it. Stay idle, since
+                // the detector can't hear anything. Say so in the status, with
+                // the reason under it, and in the recording.
+                that.idleMode();
+                my.setStatus("unavailable");
+                my.levelElem.textContent = err.message;
+                my.recorder.recordEvent("microphoneError", err.message);
+            }
+            let constraints = { audio: { echoCancellation: true } };
+            navigator.mediaDevices.getUserMedia(constraints).then(success).catch(failure);
+        },
+        getLevel: function() {
+            // The RMS amplitude of the latest block of microphone input.
+            my.analyser.getFloatTimeDomainData(my.buffer);
+            let sumSquares = my.buffer.reduce((sum, x) => sum + x * x, 0);
+            return Math.sqrt(sumSquares / my.buffer.length);
+        },
+        showLevel: function(level) {
+            my.levelElem.textContent = `${level.toFixed(4)} / ${my.noise.toFixed(4)}`;
+        },
+        poll: function() {
+            // Measure the loudness, and pass it on for calibration or detection.
+            if (my.analyser === null) {
+                return;
+            }
+            let now = new Date();
+            let level = my.getLevel();
+            my.showLevel(level);
+            if (my.speaker.isSounding()) {
+                my.quietSince = now;
+            }
+            if (now - my.quietSince < HOLDOFF) {
+                my.loudSince = null; // Our own sound; ignore it.
+            } else if (my.calibration !== null) {
+                my.calibration.push(level);
+            } else {
+                let isLoud = level > my.noise * my.settings.getSoundThreshold();
+                my.loudSince = isLoud ? (my.loudSince || now) : null;
+                let isGesture = isLoud && now - my.loudSince >= my.settings.getSoundMinTime();
+                my.debouncer.observe(isGesture);
+            }
+        },
+        updatePolling: function() {
+            // Poll while calibrating, listening, or scanning.
+            window.clearInterval(my.timer);
+            if (my.calibration !== null || my.status !== "idle") {
+                my.timer = window.setInterval(my.poll, POLL_INTERVAL);
+            }
+        },
+        calibrate: function() {
+            // Measure the background noise, and save it.
+            function finish() {
+                let levels = my.calibration;
+                my.calibration = null;
+                if (levels.length > 0) {
+                    my.noise = levels.reduce((a, b) => a + b) / levels.length;
+                    my.settings.setPreference("noiseFloor", my.noise);
+                }
+                my.calibrateButton.disabled = false;
+                my.updatePolling();
+            }
+            my.calibration = [];
+            my.calibrateButton.disabled = true;
+            my.updatePolling();
+            setTimeout(finish, CALIBRATION_TIME);
+        }
+    };
+    Object.assign(my, myMethods);
+
+    // Store methods from the parent class so that they can be invoked by
+    // newline defined functions of the child class sharing the same name.
+    let supers = { idleMode: that.idleMode,
+                   listenMode: that.listenMode,
+                   scanMode: that.scanMode };
+    // The returned object
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            my.loudSince = null;
+            my.updatePolling();
+        },
+        listenMode: function() {
+            supers.listenMode();
+            my.updatePolling();
+        },
+        scanMode: function() {
+            supers.scanMode();
+            my.updatePolling();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    // Bind event handlers, initialize and return.
+    my.calibrateButton.addEventListener("click", my.calibrate);
+    my.initMicrophone();
+    return that;
+}
+registerConstructor("sound", makeSoundDetector);
+
+// ************************************************************************** //
+
+function makeFrameDetector(spec, my) {
+    // Creates a detector that checks camera frames at a steady rate, using a
+    // distance worker (see distance-worker.js) to do the work off the main
+    // thread. It is the parent of the template and blink detectors, which
+    // supply the shared secrets:
+    //  vs: The frame source. Exposes getPixels(region), and getCanvas() to
+    //      get the canvas holding the whole of the last frame.
+    //  region: The eye region. Only pixels inside it are checked.
+    //  detect(): Sends the current frame to the worker.
+    //  classify(data): Invoked with the worker's answer for the last frame.
+    // Frames are grabbed at the rate set by the user for the current mode. If
+    // the worker hasn't answered for the last frame when the next is due, the
+    // new frame is dropped rather than queued, so the detector never falls
+    // behind.
+
+    my = my || {};
+    let that = makeGenericDetector(spec, my);
+
+    let myData = {
+        worker: new window.Worker("distance-worker.js"),
+        timer: null,
+        pending: false          // Is the worker busy with a frame?
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        getRate: function() {
+            // Frames per second for the current mode.
+            return (my.status === "scanning" ?
+                    my.settings.getScanRate() :
+                    my.settings.getListenRate());
+        },
+        tick: function() {
+            // Check a frame, and schedule the next check. The rate is looked
+            // up each time, so that changes to the setting apply immediately.
+            if (!my.pending) {
+                my.detect();
+            }
+            my.timer = window.setTimeout(my.tick, 1000 / my.getRate());
+        },
+        startTicking: function() {
+            window.clearTimeout(my.timer);
+            my.tick();
+        },
+        postFrame: function(message) {
+            // Send the pixels of the current frame inside the eye region to
+            // the worker, along with the rest of a message.
+            let canvas = my.vs.getCanvas();
+            let pixels = my.vs.getPixels(my.region);
+            let frame = { width: pixels.width, height: pixels.height, data: pixels.data };
+            let rect = my.region.getRect(canvas.width, canvas.height);
+            my.pending = true;
+            my.worker.postMessage(Object.assign({ frame, rect }, message), [pixels.data.buffer]);
+        },
+        onWorkerMessage: function(event) {
+            my.pending = false;
+            if (my.status !== "idle") {     // Unless the detector was stopped meanwhile.
+                my.classify(event.data);
+            }
+        },
+        onWorkerError: function(event) {
+            // Don't wait forever for an answer that won't come.
+            console.log(`Distance worker error: ${event.message}`);
+            my.pending = false;
+        }
+    };
+    Object.assign(my, myMethods);
+
+    // Store methods from the parent class so that they can be invoked by
+    // newline defined functions of the child class sharing the same name.
+    let supers = { idleMode: that.idleMode,
+                   listenMode: that.listenMode,
+                   scanMode: that.scanMode };
+    // The returned object
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            window.clearTimeout(my.timer);
+        },
+        listenMode: function() {
+            supers.listenMode();
+            my.startTicking();
+        },
+        scanMode: function() {
+            supers.scanMode();
+            my.startTicking();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    // Bind event handlers, initialize and return.
+    my.worker.addEventListener("message", my.onWorkerMessage);
+    my.worker.addEventListener("error", my.onWorkerError);
+    return that;
+}
+
+function makeTemplateDetector(spec, my) {
+    // Creates a detector that compares frames against sets of template
+    // samples. It is the parent of the gaze and replay detectors, which supply
+    // the frames and samples by assigning to the shared secrets vs and region
+    // (see makeFrameDetector), and:
+    //  classes: The sample sets for each class, keyed by class name: "rest",
+    //      and each of the gestures in GESTURES. Each exposes getSamples() and
+    //      getVersion(). Gestures without samples are never matched.
+
+    // The rest samples slowly adapt to frames that are confidently at rest,
+    // at the rate set by the user, to follow the user's appearance as the head
+    // sinks into the pillow or the light changes. They never adapt while a
+    // gesture is in progress, and the worker restores the originals if they
+    // drift too close to a gesture.
+
+    // Constants
+    const K_NEAREST = 3;          // Number of nearest samples averaged per class.
+    const MIN_ADAPT_CONFIDENCE = 0.2;  // Only adapt to frames classified at least this confidently.
+
+    my = my || {};
+    let that = makeFrameDetector(spec, my);
+
+    let myData = {
+        sentVersions: {}        // The version of each sample set last sent to the worker.
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        sendSamples: function() {
+            // Send the worker any sample sets that have changed since they were last sent.
+            Object.keys(my.classes).forEach(function(name) {
+                let version = my.classes[name].getVersion();
+                if (my.sentVersions[name] !== version) {
+                    const strip = (img) => ({ width: img.width, height: img.height, data: img.data });
+                    my.worker.postMessage({ type: "samples",
+                                            name,
+                                            samples: my.classes[name].getSamples().map(strip) });
+                    my.sentVersions[name] = version;
+                }
+            });
+        },
+        detect: function() {
+            // Send the current video frame to the worker to be compared to the
+            // templates. Only the pixels inside the eye region are compared,
+            // after the same preprocessing is applied to the frame and the samples.
+            my.sendSamples();
+            my.postFrame({ type: "compare",
+                           pipeline: my.settings.getPreprocessing(),
+                           k: K_NEAREST,
+                           adaptRate: my.debouncer.isActive() ? 0 : my.settings.getAdaptRate(),
+                           minConfidence: MIN_ADAPT_CONFIDENCE });
+        },
+        classify: function(data) {
+            // Invoked with the worker's answer. Emits events if change occurred.
+            // The distance to each class is the average distance to its K
+            // nearest samples, so that one odd sample can't flip the state.
+            // The frame is compared with the nearest gesture; dGaze is the
+            // distance to it.
+            let distances = data.distances;
+            let dRest = distances.rest;
+            const closer = (best, name) => distances[name] < distances[best] ? name : best;
+            let gesture = GESTURES.filter((name) => distances[name] !== undefined).reduce(closer, DEFAULT_GESTURE);
+            let dGaze = distances[gesture];
+            // To count as a gesture, a frame must be closer to its samples than
+            // to the rest samples by the margin set by the user. Once that
+            // gesture is in progress, being closer is enough; the difference
+            // between the two thresholds keeps the state from flickering.
+            let margin = my.debouncer.getGesture() === gesture ? 0 : my.settings.getGazeMargin();
+            my.debouncer.observe(dGaze < dRest * (1 - margin) ? gesture : null);
+            my.recorder.recordFrame(my.vs.getCanvas(), dRest, dGaze);
+            if (data.adaptation === "reset") {
+                my.recorder.recordEvent("restReset");
+            }
+            my.monitor.emit("measurement", { dRest,
+                                             dGaze,
+                                             gesture,
+                                             threshold: 1 - my.settings.getGazeMargin(),
+                                             confidence: confidence(dRest, dGaze) });
+            util.setDebug( "dRest: " + formatDistance(dRest) + "   dGaze: " + formatDistance(dGaze) );
+        }
+    };
+    Object.assign(my, myMethods);
+
+    // Initialize and return.
+    return that;
+}
+
+function makeGazeDetector(spec, my) {
+    // Creates a gaze detector. This detector respects the interface of the
+    // generic detector. The gesture for which it looks is an upward gaze as
+    // detected by a camera. If the user captures samples for the other
+    // gestures (looking left or right, closing the eyes), those are detected
+    // too, and each event carries the name of its gesture.
+
+    my = my || {};
+    let that = makeTemplateDetector(spec, my);
+
+    let stream = getShared("videoStream", makeVideoStream);
+    let store = makeTemplateStore();
+    let myData = {
+        vs: stream,
+        region: getShared("region", () => makeRegion(spec.settings)),
+        classes: {}
+    };
+    ["rest"].concat(GESTURES).forEach(
+        (name) => myData.classes[name] = makeSampleSet(name, stream, store, spec.settings));
+    Object.assign(my, myData);
+
+    // Public methods, for the calibration wizard.
+    let thatAssignments = {
+        getSampleSet: (name) => my.classes[name],
+        getSeparation: function() {
+            // How well the rest and gaze samples are told apart, as compared
+            // by the worker: inside the eye region, after preprocessing.
+            let canvas = my.vs.getCanvas();
+            let rect = my.region.getRect(canvas.width, canvas.height);
+            let pipeline = my.settings.getPreprocessing();
+            const prepare = (sample) => preprocess(distance.cropImage(sample, rect), pipeline);
+            return distance.separation(my.classes.rest.getSamples().map(prepare),
+                                       my.classes.gaze.getSamples().map(prepare));
         }
     };
     Object.assign(that, thatAssignments);
@@ -247,6 +1065,304 @@ function makeGazeDetector(spec, my) {
 }
 registerConstructor("gaze", makeGazeDetector);
 
+function makeBlinkDetector(spec, my) {
+    // Creates a blink detector, which looks for the eye closing without any
+    // templates. It follows the frame-to-frame changes inside the eye region,
+    // and keeps a baseline image of the resting eye: a running average of the
+    // frames in which the eye is still and not in a gesture. The deviation of
+    // a frame is its average difference from the baseline, per color value.
+    // The detector also keeps a running estimate of the deviation of resting
+    // frames, i.e. the noise. A frame counts as a gesture when its deviation
+    // is larger than the noise by the factor set by the user, and the eye
+    // has stayed that way for the minimum closure time set by the user.
+    // Ordinary blinks are shorter than that, so only deliberate closures
+    // register; the debouncer then smooths the result as usual.
+    // Because the baseline follows the eye, the detector copes with slow
+    // movements of the head, and needs no calibration beyond a few seconds of
+    // rest when it starts.
+
+    // Constants
+    const LEARNING_RATE = 0.05;   // Weight of each new resting frame in the averages.
+    const WARMUP_FRAMES = 10;     // Frames used to learn the baseline before detecting.
+    const MIN_NOISE = 1;          // Lower bound for the noise, so that a perfectly still image isn't oversensitive.
+
+    my = my || {};
+    let that = makeFrameDetector(spec, my);
+
+    let myData = {
+        vs: getShared("videoStream", makeVideoStream),
+        region: getShared("region", () => makeRegion(spec.settings)),
+        noise: MIN_NOISE,
+        nFrames: 0,
+        closedSince: null       // When the current run of changed frames began.
+    };
+    Object.assign(my, myData);
+
+    let myMethods = {
+        getLevel: () => Math.max(my.noise, MIN_NOISE) * my.settings.getBlinkThreshold(),
+        detect: function() {
+            // Send the current video frame to the worker to be measured against
+            // the previous frame and the baseline. The worker only learns from
+            // the frame if it is at rest and still, and no closure is under
+            // way, so that a closure never becomes the baseline. It decides
+            // from the frame's own measurements, before blending it in.
+            my.postFrame({ type: "motion",
+                           pipeline: my.settings.getPreprocessing(),
+                           level: my.getLevel(),
+                           warmup: my.nFrames < WARMUP_FRAMES,
+                           hold: my.closedSince !== null || my.debouncer.isActive(),
+                           rate: LEARNING_RATE });
+        },
+        classify: function(data) {
+            // Invoked with the worker's answer. Emits events if change occurred.
+            let { motion, deviation, adapted } = data;
+            let now = new Date();
+            my.nFrames += 1;
+            let level = my.getLevel();
+            let isClosed = my.nFrames > WARMUP_FRAMES && deviation > level;
+            my.closedSince = isClosed ? (my.closedSince || now) : null;
+            let isGesture = isClosed && now - my.closedSince >= my.settings.getBlinkMinTime();
+            my.debouncer.observe(isGesture);
+            if (adapted) {
+                my.noise += LEARNING_RATE * (deviation - my.noise);
+            }
+            util.setDebug(`motion: ${motion.toFixed(2)}   deviation: ${deviation.toFixed(2)}   noise: ${my.noise.toFixed(2)}`);
+        },
+        reset: function() {
+            // Forget the baseline; it is learned again when detection resumes.
+            my.worker.postMessage({ type: "resetMotion" });
+            my.noise = MIN_NOISE;
+            my.nFrames = 0;
+            my.closedSince = null;
+        }
+    };
+    Object.assign(my, myMethods);
+
+    // Store methods from the parent class so that they can be invoked by
+    // newline defined functions of the child class sharing the same name.
+    let supers = { idleMode: that.idleMode };
+    // The returned object
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            my.reset();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    // Initialize and return.
+    return that;
+}
+registerConstructor("blink", makeBlinkDetector);
+
+function makeReplayDetector(spec, my) {
+    // Creates a replay detector. Rather than the live camera, this detector
+    // reads a recorded video file or a directory of frames, and compares them
+    // against templates loaded from a saved template file, using the same
+    // logic as the gaze detector. Playback runs while the detector is
+    // listening or scanning, and pauses when it is idle. Every gesture event is
+    // logged with its position in the recording, so that thresholds can be
+    // tuned offline against a recording of a problem.
+
+    my = my || {};
+    let that = makeTemplateDetector(spec, my);
+
+    // Private data and methods
+    let source = makeReplaySource();
+    let templatesElem = document.querySelector("input[type=file][name=replayTemplates]");
+    let templatesCanvas = makeCanvasContainer("replayTemplate");
+    let log = [];
+    let myData = {
+        vs: source,
+        region: getShared("region", () => makeRegion(spec.settings)),
+        classes: {}
+    };
+    ["rest"].concat(GESTURES).forEach(
+        (name) => myData.classes[name] = makeSampleList(templatesCanvas));
+    Object.assign(my, myData);
+
+    function loadTemplates() {
+        // Load the samples of every class from the chosen template file.
+        let file = templatesElem.files[0];
+        if (file === undefined) {
+            return;             // The user cancelled the file chooser.
+        }
+        let templates = util.readJSON(file.path);
+        let upgrade = makeTemplateStore.upgrade;
+        Object.keys(my.classes).forEach(
+            (name) => my.classes[name].load(upgrade(templates[name]) || { samples: [] }));
+    }
+
+    function logEvent(name, gesture) {
+        // Record a gesture event, with the time in the recording and on the clock.
+        let entry = { event: name,
+                      gesture,
+                      position: source.getPosition(),
+                      time: new Date().toISOString() };
+        log.push(entry);
+    }
+
+    function finish() {
+        // Invoked at the end of the recording. End any gesture in progress,
+        // and stop, so that the scanner stops too. Then write the log next to
+        // the recording.
+        if (my.debouncer.isActive()) {
+            my.emitGestureEnd(my.debouncer.getGesture());
+        }
+        my.stop();
+        if (source.getPath() === null) {
+            log = [];
+            return;
+        }
+        let lines = log.map((entry) => `${entry.event},${entry.gesture},${entry.position},${entry.time}`);
+        let logPath = source.getPath() + "-replay.csv";
+        try {
+            fs.writeFileSync(logPath, ["event,gesture,position,time"].concat(lines).join("\n") + "\n");
+        } catch (e) {
+            console.log(`Could not write ${logPath}.`);
+        }
+        log = [];
+    }
+
+    // Store methods from the parent class, to be invoked by the methods
+    // overriding them below.
+    let supers = { detect: my.detect,
+                   idleMode: that.idleMode,
+                   listenMode: that.listenMode,
+                   scanMode: that.scanMode };
+
+    let myMethods = {
+        detect: function() {
+            // Compare the next frame of the recording, or finish if there isn't one.
+            if (source.isFinished()) {
+                finish();
+            } else if (source.isReady()) {
+                supers.detect();
+            }
+        }
+    };
+    Object.assign(my, myMethods);
+
+    // The returned object
+    let thatAssignments = {
+        idleMode: function() {
+            supers.idleMode();
+            source.pause();
+        },
+        listenMode: function() {
+            supers.listenMode();
+            source.play();
+        },
+        scanMode: function() {
+            supers.scanMode();
+            source.play();
+        }
+    };
+    Object.assign(that, thatAssignments);
+
+    // Bind event handlers, initialize and return.
+    templatesElem.addEventListener("change", loadTemplates);
+    my.emitter.addListener("gestureBegin", (gesture) => logEvent("begin", gesture));
+    my.emitter.addListener("gestureEnd", (gesture) => logEvent("end", gesture));
+    return that;
+}
+registerConstructor("replay", makeReplayDetector);
+
+function makeReplaySource() {
+    // Create a frame source that reads a recording instead of the camera. The
+    // recording is either a video file, which plays in real time, or a
+    // directory of image frames, which advances by one frame each time a frame
+    // is requested. Exposes the same getPixels method as the video stream, so
+    // that the replay detector can use it in its place.
+
+    // Constants
+    const FRAME_PATTERN = /\.(png|jpe?g|bmp)$/i;
+
+    // Private variables
+    let videoFileElem = document.querySelector("input[type=file][name=replayVideo]");
+    let framesElem = document.querySelector("input[type=file][name=replayFrames]");
+    let cc = makeCanvasContainer("replay");
+    let video = document.createElement("video");
+    let frames = null;          // Paths of the frames, when replaying a directory.
+    let frameIx = 0;            // Index of the frame currently loaded.
+    let image = null;           // The current frame.
+    let path = null;            // The path of the recording.
+
+    function loadFrame(ix) {
+        // Start loading the frame at index ix. It is ready when image.complete is true.
+        frameIx = ix;
+        if (ix < frames.length) {
+            image = new Image();
+            image.src = frames[ix];
+        }
+    }
+
+    function loadVideoFile() {
+        // The user chose a video file.
+        let file = videoFileElem.files[0];
+        if (file === undefined) {
+            return;             // The user cancelled the file chooser.
+        }
+        frames = null;
+        path = file.path;
+        video.src = file.path;
+    }
+
+    function loadFrames() {
+        // The user chose a directory of frames. Frames are played in order of
+        // their names. A directory without frames is ignored.
+        let files = [].filter.call(framesElem.files, (file) => FRAME_PATTERN.test(file.name));
+        if (files.length === 0) {
+            return;
+        }
+        frames = files.map((file) => file.path).sort(
+            (a, b) => a.localeCompare(b, undefined, { numeric: true })); // frame10 after frame2.
+        path = nodePath.dirname(frames[0]);
+        video.removeAttribute("src");
+        loadFrame(0);
+    }
+
+    // The exposed object.
+    let that = {
+        getPath: () => path,
+        getCanvas: () => cc.canvas,
+        isReady: function() {
+            // Is there a frame to compare?
+            if (frames !== null) {
+                return image !== null && image.complete;
+            }
+            return path !== null && video.readyState >= video.HAVE_CURRENT_DATA;
+        },
+        isFinished: () => (frames !== null ? frameIx >= frames.length : path !== null && video.ended),
+        getPosition: function() {
+            // The position in the recording: a frame number or a time in seconds.
+            return frames !== null ? frameIx : video.currentTime.toFixed(3);
+        },
+        play: function() {
+            if (frames === null && path !== null) {
+                video.play();
+            }
+        },
+        pause: () => video.pause(),
+        getPixels: function(region) {
+            // Draw the current frame to an invisible canvas and grab the pixels inside the region.
+            let rect = region.getRect(cc.getWidth(), cc.getHeight());
+            if (frames !== null) {
+                cc.context.drawImage(image, 0, 0, cc.getWidth(), cc.getHeight());
+                loadFrame(frameIx + 1);
+            } else {
+                cc.context.drawImage(video, 0, 0, cc.getWidth(), cc.getHeight());
+            }
+            return cc.context.getImageData(rect.x, rect.y, rect.width, rect.height);
+        }
+    };
+
+    // Bind event handlers and return.
+    videoFileElem.addEventListener("change", loadVideoFile);
+    framesElem.addEventListener("change", loadFrames);
+    return that;
+}
+
 function makeVideoStream() {
     // Create an object that wraps the incoming video stream.
     // Enables the user to select the video source using the dropdown menu in
@@ -289,10 +1405,14 @@ function makeVideoStream() {
     // The exposed object.
     let that = {
         getVideo: () => video,
-        getPixels: function() {
-            // Write the current video frame to an invisible canvas and grab its pixels.
+        getCanvas: () => cc.canvas,
+        getDeviceId: () => sourceElem.value,
+        getPixels: function(region) {
+            // Write the current video frame to an invisible canvas and grab the
+            // pixels inside the region.
+            let rect = region.getRect(cc.getWidth(), cc.getHeight());
             cc.context.drawImage(video, 0, 0, cc.getWidth(), cc.getHeight());
-            return cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight());
+            return cc.context.getImageData(rect.x, rect.y, rect.width, rect.height);
         }
     };
 
@@ -302,29 +1422,296 @@ function makeVideoStream() {
     return that;
 }
 
-function makeTemplate(name, videoStream) {
-    // Constructor for a template object.
-    // Binds an event handler to the relevant "capture" button in the DOM, so
-    // that when pressed it will create a template from the current video frame.
-    // Exposes a method to retrieve the captured template's pixels.
+function makeTemplateStore() {
+    // Create an object that saves captured templates to disk, so that they
+    // survive a restart of the program. The samples for each class are stored
+    // under the class name as a list of PNG data URLs with their capture
+    // times, along with the id of the camera they were captured from.
+
+    // Constants
+    const TEMPLATE_FILE = "./templates.json";
+
+    // Private variables
+    let templates = util.readJSON(TEMPLATE_FILE);
+
+    // The returned object.
+    let that = {
+        load: (name) => makeTemplateStore.upgrade(templates[name]),
+        save: function(name, template) {
+            templates[name] = template;
+            util.writeJSON(TEMPLATE_FILE, templates);
+        },
+        remove: function(name) {
+            delete templates[name];
+            util.writeJSON(TEMPLATE_FILE, templates);
+        }
+    };
+
+    return that;
+}
+
+makeTemplateStore.upgrade = function(template) {
+    // Templates saved before multi-sample capture hold a single image.
+    if (template !== undefined && template.samples === undefined) {
+        return { deviceId: template.deviceId,
+                 samples: [{ image: template.image, captured: template.captured }] };
+    }
+    return template;
+};
+
+function makeSampleList(cc) {
+    // Constructor for a list holding the pixels of a set of template samples.
+    // Samples are decoded using the canvas container cc. Exposes methods to add
+    // samples, load them from their stored form, and retrieve them. The
+    // version number goes up whenever the samples change, so that users of the
+    // list can tell when their copies are out of date.
+
+    // Local variables
+    let samples = [];
+    let version = 0;
+
+    function set(newSamples) {
+        samples = newSamples;
+        version += 1;
+    }
+
+    // The returned object.
+    let that = {
+        push: (sample) => set(samples.concat([sample])),
+        keepLast: (n) => set(samples.slice(-n)),
+        clear: () => set([]),
+        load: function(template) {
+            // Decode the stored samples of a template and draw the last one onto
+            // the canvas. Images decode asynchronously, so each one is put in
+            // its slot as soon as it is ready.
+            let n = template.samples.length;
+            set([]);
+            template.samples.forEach(function(sample, ix) {
+                let image = new Image();
+                image.addEventListener("load", function() {
+                    cc.context.drawImage(image, 0, 0, cc.getWidth(), cc.getHeight());
+                    samples[ix] = cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight());
+                    version += 1;
+                    let last = samples[n - 1];
+                    if (last !== undefined) {
+                        cc.context.putImageData(last, 0, 0); // Keep the most recent sample on display.
+                    }
+                });
+                image.src = sample.image;
+            });
+        },
+        getSamples: () => samples.filter((sample) => sample !== undefined),
+        getVersion: () => version
+    };
+
+    return that;
+}
+
+function makeSampleSet(name, videoStream, store, settings) {
+    // Constructor for a sample set: the collection of template frames for one
+    // class (e.g. "rest" or "gaze").
+    // Binds event handlers to the relevant "capture" and "clear" buttons in
+    // the DOM. Capture records a short burst of frames from the video and adds
+    // them to the set; clear throws all samples away. Samples are saved with
+    // the template store and restored from it on creation. The canvas shows
+    // the most recent sample.
+    // Exposes a method to retrieve the pixels of all samples.
+
+    // Constants
+    const SAMPLES_PER_CAPTURE = 5;   // Frames recorded for each press of "capture".
+    const SAMPLE_INTERVAL = 400;     // Time in ms between frames of a capture.
+    const MAX_SAMPLES = 20;          // Oldest samples are dropped beyond this.
 
     // Local variables and methods
     let cc = makeCanvasContainer(name);
-    let selector = `input[type=button][data-canvas-id=${name}]`;
-    let button = document.querySelector(selector);
+    let captureButton = document.querySelector(`input[type=button][data-canvas-id=${name}][name=capture]`);
+    let clearButton = document.querySelector(`input[type=button][data-canvas-id=${name}][name=clear]`);
+    let infoElem = document.querySelector(`[data-template-info=${name}]`);
+    let infoText = { samples: {en: "samples", fr: "échantillons", es: "muestras"},
+                     captured: {en: "last captured", fr: "capturé", es: "capturado"} };
+    let samples = makeSampleList(cc); // Pixels of each sample, in the same order as in the store.
+    let saved = [];             // The stored form of each sample.
 
-    function capture() {
-        // Procedure to capture the current video image as a template.
+    function updateInfo() {
+        // Show the user how many samples there are, and when the last was captured.
+        let language = settings.getLanguageSettings().getLanguage();
+        let text = `${saved.length} ${infoText.samples[language]}`;
+        if (saved.length > 0) {
+            let last = saved[saved.length - 1];
+            let date = new Date(last.captured).toLocaleString(language);
+            text += `, ${infoText.captured[language]} ${date}`;
+        }
+        infoElem.textContent = text;
+    }
+
+    function save() {
+        store.save(name, { deviceId: videoStream.getDeviceId(),
+                           samples: saved });
+        updateInfo();
+    }
+
+    function addSample() {
+        // Draw the current video frame to the canvas and add it to the set.
         cc.context.drawImage(videoStream.getVideo(), 0, 0, cc.getWidth(), cc.getHeight());
+        samples.push(cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight()));
+        saved.push({ image: cc.canvas.toDataURL(),
+                     captured: new Date().toISOString() });
+        samples.keepLast(MAX_SAMPLES);
+        saved = saved.slice(-MAX_SAMPLES);
+        save();
+    }
+
+    function capture(cb) {
+        // Record a burst of samples, so the set covers small movements of the
+        // head. Invoke the callback cb, if given, when done.
+        captureButton.disabled = true;
+        function each(i) {
+            addSample();
+            if (i + 1 < SAMPLES_PER_CAPTURE) {
+                setTimeout(() => each(i + 1), SAMPLE_INTERVAL);
+            } else {
+                captureButton.disabled = false;
+                if (cb) {
+                    cb();
+                }
+            }
+        }
+        each(0);
+    }
+
+    function clear() {
+        // Throw away all samples, both on screen and on disk.
+        cc.context.clearRect(0, 0, cc.getWidth(), cc.getHeight());
+        samples.clear();
+        saved = [];
+        store.remove(name);
+        updateInfo();
+    }
+
+    function restore() {
+        // Load the saved samples, if there are any.
+        let template = store.load(name);
+        if (template !== undefined) {
+            saved = template.samples;
+            samples.load(template);
+        }
+    }
+
+    // The returned object.
+    let that = {
+        getSamples: samples.getSamples,
+        getVersion: samples.getVersion,
+        getNSamples: () => saved.length,
+        capture,
+        clear
+    };
+
+    // Bind event handlers, initialize and return.
+    captureButton.addEventListener("click", () => capture());
+    clearButton.addEventListener("click", clear);
+    settings.getLanguageSettings().addChangeListener(updateInfo);
+    restore();
+    updateInfo();
+    return that;
+}
+
+function makeRegion(settings) {
+    // Create an object holding the eye region: the part of the video frame
+    // that the detector actually compares. The caregiver drags a rectangle on
+    // the video feed to set the region; the "full frame" button resets it.
+    // The region is stored as fractions of the frame, so that it stays in the
+    // right place if the capture resolution changes, and is saved with the
+    // user preferences.
+
+    // Constants
+    const MIN_SIZE = 0.05;      // Smaller drags are taken to be clicks, and ignored.
+    const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+    // Private variables
+    let canvas = document.querySelector("canvas[data-canvas-id=region]");
+    let context = canvas.getContext("2d");
+    let resetButton = document.querySelector("input[type=button][name=fullFrame]");
+    let region = settings.getPreference("region") || FULL_FRAME;
+    let dragStart = null;
+
+    // Private methods
+    const clamp = (v) => Math.min(Math.max(v, 0), 1);
+
+    function toFraction(event) {
+        // Convert the position of a mouse event to fractions of the video size.
+        let bounds = canvas.getBoundingClientRect();
+        return { x: clamp((event.clientX - bounds.left) / bounds.width),
+                 y: clamp((event.clientY - bounds.top) / bounds.height) };
+    }
+
+    function span(start, end) {
+        // The rectangle spanned by two corners, in fractions of the video size.
+        return { x: Math.min(start.x, end.x),
+                 y: Math.min(start.y, end.y),
+                 width: Math.abs(end.x - start.x),
+                 height: Math.abs(end.y - start.y) };
+    }
+
+    function draw(rect) {
+        // Outline the rectangle over the video feed. The full frame isn't outlined.
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (rect.width < 1 || rect.height < 1) {
+            context.strokeStyle = "#dc322f";
+            context.lineWidth = 2;
+            context.strokeRect(rect.x * canvas.width, rect.y * canvas.height,
+                               rect.width * canvas.width, rect.height * canvas.height);
+        }
+    }
+
+    function setRegion(rect) {
+        region = rect;
+        settings.setPreference("region", region);
+        draw(region);
+    }
+
+    function onMouseDown(event) {
+        dragStart = toFraction(event);
+    }
+
+    function onMouseMove(event) {
+        if (dragStart !== null) {
+            draw(span(dragStart, toFraction(event)));
+        }
+    }
+
+    function onMouseUp(event) {
+        if (dragStart === null) {
+            return;
+        }
+        let rect = span(dragStart, toFraction(event));
+        dragStart = null;
+        if (rect.width >= MIN_SIZE && rect.height >= MIN_SIZE) {
+            setRegion(rect);
+        } else {
+            draw(region);
+        }
     }
 
     // The returned object.
     let that = {
-        getPixels: () => cc.context.getImageData(0, 0, cc.getWidth(), cc.getHeight())
+        getRect: function(width, height) {
+            // Return the region in pixels, for a frame of the given size.
+            let x = Math.floor(region.x * width);
+            let y = Math.floor(region.y * height);
+            return { x, y,
+                     width: Math.max(1, Math.min(Math.round(region.width * width), width - x)),
+                     height: Math.max(1, Math.min(Math.round(region.height * height), height - y)) };
+        }
     };
 
-    // Bind event handler and return.
-    button.addEventListener("click", capture);
+    // Bind event handlers, initialize and return.
+    canvas.addEventListener("mousedown", onMouseDown);
+    canvas.addEventListener("mousemove", onMouseMove);
+    document.addEventListener("mouseup", onMouseUp);
+    resetButton.addEventListener("click", () => setRegion(FULL_FRAME));
+    draw(region);
     return that;
 }
 
@@ -375,34 +1762,17 @@ function makeCanvasContainer(name) {
     return that;
 }
 
-function l1Distance(img1, img2) {
-    // Compute the L1 distance between two imageData objects. Used by the gaze
-    // detector.
-    // Info on imageData object here: https://developer.mozilla.org/en-US/docs/Web/API/ImageData
-    let { width, height } = checkDimensions(img1, img2);
-    let x1 = img1.data;
-    let x2 = img2.data;
-    let distance = 0;
-    let ixMax = width * height * 4;
-    for (let i = 0; i < ixMax; i += 1) {
-        if (i % 4 === 3) {
-            continue;           // Don't compare the alpha values.
-        }
-        else {
-            distance += Math.abs(x1[i] - x2[i]);
-        }
+function confidence(dRest, dGaze) {
+    // How sure the classification of a frame is: 0 if the frame is as close to
+    // one class as the other, approaching 1 as it gets much closer to one.
+    if (!isFinite(dRest) || !isFinite(dGaze)) {
+        return 0;
     }
-    return distance;
+    let larger = Math.max(dRest, dGaze);
+    return larger > 0 ? Math.abs(dRest - dGaze) / larger : 0;
 }
 
-function checkDimensions(img1, img2) {
-    // Make sure that the image dimensions match up. If so, return width and height.
-    let matchWidth = img1.width === img2.width;
-    let matchHeight = img1.height === img2.height;
-    if (matchWidth & matchHeight) {
-        return { width: img1.width, height: img1.height };
-    }
-    else {
-        throw new Error("Image dimensions do not match.");
-    }
+function formatDistance(d) {
+    // Format a distance for the debug display.
+    return isFinite(d) ? util.format("# ### ###.", d) : "-";
 }
@@ -0,0 +1,141 @@
+"use strict";
+
+// File imports
+const util = require("./util.js");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "diagnostics", the constructor for the
+// detector diagnostics panel. The panel lets a caregiver see at a glance
+// whether the detector is calibrated well enough. It listens to the
+// detector's monitor and plots the last 30 seconds of measurements on two
+// graphs:
+//   The upper graph shows the distance from each frame to the rest samples
+//   (dRest) and to the gaze samples (dGaze).
+//   The lower graph shows their ratio, dGaze / dRest, with horizontal lines
+//   at the thresholds: a frame counts towards starting a gaze when the ratio
+//   is below the lower line, and towards ending it when above the upper one.
+// On both graphs, vertical lines mark where gestures began and ended. The
+// panel also shows the confidence of the classification of the last frame.
+
+// ************************************************************************** //
+
+module.exports = diagnostics;
+
+function diagnostics(detector) {
+    // Constructor for the diagnostics panel. The panel draws itself whenever
+    // the detector reports, so the returned object has no methods.
+
+    // Constants
+    const WINDOW = 30000;         // Length of the plotted history in ms.
+    const RATIO_MAX = 2;          // The top of the ratio graph.
+    const COLORS = { rest: "#268bd2", gaze: "#cb4b16", ratio: "#6c71c4",
+                     threshold: "#93a1a1", begin: "#859900", end: "#d33682" };
+
+    // Private variables
+    let canvas = document.getElementById("diagnosticsGraph");
+    let context = canvas.getContext("2d");
+    let confidenceElem = document.getElementById("diagnosticsConfidence");
+    let measurements = [];      // Each measurement, with the time it was received.
+    let events = [];            // Gesture begin and end events, with their times.
+    let threshold = 1;
+    let drawPending = false;
+
+    // Private methods
+    function prune(now) {
+        // Forget everything older than the plotted window.
+        const recent = (entry) => now - entry.time <= WINDOW;
+        measurements = measurements.filter(recent);
+        events = events.filter(recent);
+    }
+
+    function drawLine(entries, getY, color) {
+        // Draw a line through the points (time, getY(entry)), skipping
+        // entries for which there's no value.
+        context.strokeStyle = color;
+        context.beginPath();
+        let drawing = false;
+        entries.forEach(function(entry) {
+            let y = getY(entry);
+            if (!isFinite(y)) {
+                drawing = false;
+            } else if (drawing) {
+                context.lineTo(entry.x, y);
+            } else {
+                context.moveTo(entry.x, y);
+                drawing = true;
+            }
+        });
+        context.stroke();
+    }
+
+    function drawHorizontal(y, color) {
+        context.strokeStyle = color;
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(canvas.width, y);
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    function draw() {
+        // Redraw both graphs.
+        drawPending = false;
+        let now = new Date();
+        prune(now);
+        let width = canvas.width;
+        let half = canvas.height / 2;
+        const toX = (time) => width - (now - time) / WINDOW * width;
+        let entries = measurements.map((m) => Object.assign({ x: toX(m.time) }, m));
+        let finite = [].concat(...entries.map((m) => [m.dRest, m.dGaze])).filter(isFinite);
+        let dMax = Math.max(1, ...finite);
+        const distanceY = (d) => half - d / dMax * half;
+        const ratioY = (r) => canvas.height - Math.min(r, RATIO_MAX) / RATIO_MAX * half;
+
+        context.clearRect(0, 0, width, canvas.height);
+        context.lineWidth = 1;
+        drawHorizontal(half, COLORS.threshold);
+        drawLine(entries, (m) => distanceY(m.dRest), COLORS.rest);
+        drawLine(entries, (m) => distanceY(m.dGaze), COLORS.gaze);
+        drawHorizontal(ratioY(1), COLORS.threshold);
+        drawHorizontal(ratioY(threshold), COLORS.threshold);
+        drawLine(entries, (m) => ratioY(m.dGaze / m.dRest), COLORS.ratio);
+        events.forEach(function(event) {
+            let x = toX(event.time);
+            context.strokeStyle = COLORS[event.type];
+            context.beginPath();
+            context.moveTo(x, 0);
+            context.lineTo(x, canvas.height);
+            context.stroke();
+        });
+    }
+
+    function requestDraw() {
+        // Redraw at most once per animation frame.
+        if (!drawPending) {
+            drawPending = true;
+            window.requestAnimationFrame(draw);
+        }
+    }
+
+    function onMeasurement(measurement) {
+        measurements.push(Object.assign({ time: new Date() }, measurement));
+        threshold = measurement.threshold;
+        let percent = Math.round(measurement.confidence * 100);
+        let label = measurement.dGaze < measurement.dRest ? measurement.gesture : "rest";
+        confidenceElem.textContent = `${util.capitalize(label)}: ${percent}%`;
+        requestDraw();
+    }
+
+    function onGesture(type) {
+        events.push({ type, time: new Date() });
+        requestDraw();
+    }
+
+    // Bind event handlers and return.
+    detector.addMonitorListener("measurement", onMeasurement);
+    detector.addMonitorListener("gestureBegin", () => onGesture("begin"));
+    detector.addMonitorListener("gestureEnd", () => onGesture("end"));
+    return {};
+}
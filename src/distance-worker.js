@@ -0,0 +1,167 @@
+"use strict";
+
+// ************************************************************************** //
+
+// This is the script for the distance worker, a Web Worker which compares
+// camera frames against the template samples off the renderer's main thread,
+// so that it doesn't compete with speech and animation. Each camera detector
+// runs its own worker. The template detectors talk to it with two types of
+// message:
+//
+// samples: { type, name, samples }
+//     The full-frame samples of the class called "name". Sent whenever the
+//     samples change. The worker keeps them, and the versions prepared for
+//     comparison (cropped to the region and preprocessed), until they change
+//     or a frame arrives with a different region or pipeline.
+// compare: { type, frame, rect, pipeline, k, adaptRate, minConfidence }
+//     A frame, already cropped to the region rect. The worker preprocesses it,
+//     computes its distance to each class (the average distance to the k
+//     nearest samples), and posts back { distances, adaptation }, where
+//     distances is an object keyed by class name. If adaptRate isn't 0 and
+//     the frame is confidently at rest, the frame is blended into the nearest
+//     rest sample, so that the rest class follows slow changes in the
+//     user's appearance; adaptation is then "adapted", or "reset" if the
+//     blend brought the rest samples too close to a gesture and they were
+//     restored to their original capture. Otherwise adaptation is null.
+//     Adapted samples are kept until the samples, region or pipeline change.
+//
+// The blink detector uses two others:
+//
+// motion: { type, frame, rect, pipeline, level, warmup, hold, rate }
+//     A frame, cropped and preprocessed as above. The worker posts back
+//     { motion, deviation, adapted }: the average difference per color value
+//     between the frame and the previous one, and between the frame and the
+//     baseline, a running average of the resting eye. If the frame is still
+//     (its motion is below level) and at rest (its deviation is at most level,
+//     or the detector is still warming up), and the detector doesn't hold the
+//     baseline because a closure is under way, the frame is blended into the
+//     baseline with weight rate and adapted is true. The first frame, and the
+//     first after a change of region or pipeline, becomes the baseline.
+// resetMotion: { type }
+//     Forget the previous frame and the baseline.
+//
+// The detector only sends a new frame once it has the answer for the last one.
+
+// ************************************************************************** //
+
+/* jshint worker: true */
+/* global preprocess, cropImage, knnDistance, l1Distance */
+// distance.js also defines "separation", between two sets of samples; in this
+// shared global scope, the procedures below must not reuse its names.
+importScripts("preprocess.js", "distance.js");
+
+let classes = {};               // For each class name, its samples and their prepared versions.
+const REST = "rest";
+const MIN_SEPARATION = 0.5;     // Adapted rest samples must stay at least half as far from the gestures as they started.
+let motionState = null;         // The previous frame and the baseline for the blink detector.
+
+function setSamples(name, samples) {
+    classes[name] = { samples, prepared: null, original: null, separations: null, key: null };
+    if (classes[REST] !== undefined) {
+        classes[REST].separations = null;   // The distances to the gestures may have changed.
+    }
+}
+
+function getPrepared(name, rect, pipeline) {
+    // Return the samples of a class cropped to rect and preprocessed,
+    // preparing them again only if the region or pipeline has changed.
+    let entry = classes[name];
+    let key = JSON.stringify([rect, pipeline]);
+    if (entry.key !== key) {
+        const prepare = (sample) => preprocess(cropImage(sample, rect), pipeline);
+        entry.prepared = entry.samples.map(prepare);
+        entry.original = entry.prepared.slice();
+        entry.separations = null;
+        entry.key = key;
+    }
+    return entry.prepared;
+}
+
+function nearestDistance(sample, others) {
+    // The distance from a sample to the nearest of others.
+    return Math.min(...others.map((other) => l1Distance(sample, other)));
+}
+
+function adaptRest(frame, distances, message) {
+    // Blend a frame that is confidently at rest into the nearest rest sample,
+    // unless that would bring the sample too close to the gestures.
+    let rest = classes[REST];
+    let dRest = distances[REST];
+    let dGesture = Math.min(...Object.keys(distances).filter((name) => name !== REST).map((name) => distances[name]));
+    if (!message.adaptRate || rest === undefined || dRest >= dGesture || !isFinite(dRest) ||
+        (dGesture - dRest) / dGesture < message.minConfidence) {
+        return null;
+    }
+    let others = [].concat(...Object.keys(classes).filter((name) => name !== REST).map(
+        (name) => getPrepared(name, message.rect, message.pipeline)));
+    if (rest.separations === null) {
+        rest.separations = rest.original.map((sample) => nearestDistance(sample, others));
+    }
+    let restDistances = rest.prepared.map((sample) => l1Distance(frame, sample));
+    let ix = restDistances.indexOf(Math.min(...restDistances));
+    let adapted = blend(rest.prepared[ix], frame, message.adaptRate);
+    if (nearestDistance(adapted, others) < MIN_SEPARATION * rest.separations[ix]) {
+        rest.prepared = rest.original.slice();
+        return "reset";
+    }
+    rest.prepared[ix] = adapted;
+    return "adapted";
+}
+
+function compare(message) {
+    // Compute the distance from a frame to each class, and adapt the rest
+    // samples to it if asked.
+    let frame = preprocess(message.frame, message.pipeline);
+    let distances = {};
+    Object.keys(classes).forEach(function(name) {
+        let samples = getPrepared(name, message.rect, message.pipeline);
+        distances[name] = knnDistance(frame, samples, message.k);
+    });
+    let adaptation = adaptRest(frame, distances, message);
+    return { distances, adaptation };
+}
+
+function blend(img1, img2, weight) {
+    // Return the weighted average of two images: weight parts img2 to
+    // (1 - weight) parts img1.
+    let result = { width: img1.width,
+                   height: img1.height,
+                   data: new Float32Array(img1.data.length) };
+    for (let i = 0; i < img1.data.length; i += 1) {
+        result.data[i] = (1 - weight) * img1.data[i] + weight * img2.data[i];
+    }
+    return result;
+}
+
+function measureMotion(message) {
+    // Compare a frame with the previous frame and with the baseline.
+    let frame = preprocess(message.frame, message.pipeline);
+    let key = JSON.stringify([message.rect, message.pipeline]);
+    if (motionState === null || motionState.key !== key) {
+        motionState = { previous: frame, baseline: frame, key };
+    }
+    let nValues = frame.width * frame.height * 3;
+    let result = { motion: l1Distance(frame, motionState.previous) / nValues,
+                   deviation: l1Distance(frame, motionState.baseline) / nValues };
+    let atRest = message.warmup || result.deviation <= message.level;
+    result.adapted = !message.hold && atRest && result.motion < message.level;
+    if (result.adapted) {
+        motionState.baseline = blend(motionState.baseline, frame, message.rate);
+    }
+    motionState.previous = frame;
+    return result;
+}
+
+self.addEventListener("message", function(event) {
+    // Dispatch on the message type.
+    let message = event.data;
+    if (message.type === "samples") {
+        setSamples(message.name, message.samples);
+    } else if (message.type === "compare") {
+        self.postMessage(compare(message));
+    } else if (message.type === "motion") {
+        self.postMessage(measureMotion(message));
+    } else if (message.type === "resetMotion") {
+        motionState = null;
+    }
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+// ************************************************************************** //
+
+// This module exposes the procedures used to compare camera frames against
+// template samples. Images are objects with width, height, and an RGBA data
+// array, like the imageData objects returned by a canvas.
+//
+// The module is loaded by the renderer through require, and also by the
+// distance worker through importScripts. A worker has no "module" object, so
+// the exports are only assigned when there is one; in the worker, the
+// procedures below are simply global.
+
+// ************************************************************************** //
+
+if (typeof module !== "undefined") {
+    module.exports = { cropImage,
+                       knnDistance,
+                       l1Distance,
+                       separation };
+}
+
+function cropImage(img, rect) {
+    // Copy the pixels of an image that lie inside rect to a new image.
+    let result = { width: rect.width,
+                   height: rect.height,
+                   data: new Uint8ClampedArray(rect.width * rect.height * 4) };
+    for (let row = 0; row < rect.height; row += 1) {
+        let start = ((rect.y + row) * img.width + rect.x) * 4;
+        let rowPixels = img.data.subarray(start, start + rect.width * 4);
+        result.data.set(rowPixels, row * rect.width * 4);
+    }
+    return result;
+}
+
+function knnDistance(img, samples, k) {
+    // Compute the average L1 distance from img to its k nearest samples. If
+    // there are no samples, the class can't be matched at all.
+    if (samples.length === 0) {
+        return Infinity;
+    }
+    let distances = samples.map((sample) => l1Distance(img, sample));
+    let nearest = distances.sort((a, b) => a - b).slice(0, k);
+    return nearest.reduce((a, b) => a + b) / nearest.length;
+}
+
+function separation(samples1, samples2) {
+    // Measure how well two sets of samples are told apart: the average
+    // distance between samples of different sets, divided by the average
+    // distance between samples of the same set. The larger, the better; near
+    // 1, the sets look alike.
+    const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+    let within = [];
+    [samples1, samples2].forEach(function(samples) {
+        samples.forEach(function(sample, i) {
+            samples.slice(i + 1).forEach((other) => within.push(l1Distance(sample, other)));
+        });
+    });
+    let between = [];
+    samples1.forEach(function(sample) {
+        samples2.forEach((other) => between.push(l1Distance(sample, other)));
+    });
+    if (between.length === 0) {
+        return 0;               // Nothing to tell apart.
+    }
+    if (within.length === 0 || mean(within) === 0) {
+        return Infinity;
+    }
+    return mean(between) / mean(within);
+}
+
+function l1Distance(img1, img2) {
+    // Compute the L1 distance between two imageData objects (or any objects
+    // with the same width, height and data fields).
+    // Info on imageData object here: https://developer.mozilla.org/en-US/docs/Web/API/ImageData
+    let { width, height } = checkDimensions(img1, img2);
+    let x1 = img1.data;
+    let x2 = img2.data;
+    let distance = 0;
+    let ixMax = width * height * 4;
+    for (let i = 0; i < ixMax; i += 1) {
+        if (i % 4 === 3) {
+            continue;           // Don't compare the alpha values.
+        }
+        else {
+            distance += Math.abs(x1[i] - x2[i]);
+        }
+    }
+    return distance;
+}
+
+function checkDimensions(img1, img2) {
+    // Make sure that the image dimensions match up. If so, return width and height.
+    let matchWidth = img1.width === img2.width;
+    let matchHeight = img1.height === img2.height;
+    if (matchWidth & matchHeight) {
+        return { width: img1.width, height: img1.height };
+    }
+    else {
+        throw new Error("Image dimensions do not match.");
+    }
+}
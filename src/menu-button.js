@@ -53,6 +53,11 @@ function makeGenericButton(spec, my) {
     // button hierarchy, but that should not be visible outside.
     // The object "that" is returned, and exposes the public methods for the
     // button.
+    // Buttons whose action can be reversed set my.undo, when they act, to a
+    // procedure that reverses it and returns true, or returns false if it is
+    // too late (e.g. an email that has gone). The scanner uses it to undo a
+    // mistaken selection. It stays null for buttons that can't take back
+    // what they did (e.g. the call bell).
 
     // Shared secrets.
     my = my || {};
@@ -63,6 +68,7 @@ function makeGenericButton(spec, my) {
         emitter: new EventEmitter(),
         timeout: null,
         waitMultiplier: 1,      // When scanning, multiply the wait time by this number.
+        undo: null,             // Reverses the last action of the button.
         finished: () => my.emitter.emit("buttonFinished")
     };
     Object.assign(my, myAssignments);
@@ -75,18 +81,35 @@ function makeGenericButton(spec, my) {
         isEmpty: () => my.buttonElem.value === "",
         getWaitMultiplier: () => my.waitMultiplier,
         getTargetMenu: () => null, // MenuButtons overwrite this.
+        getUndo: () => my.undo,
         buttonElem: my.buttonElem,
         announce: function() {
-            // Have the button state its name.
+            // Have the button state its name. When scanning by ear, it states
+            // its preview instead.
             if (my.settings.useSound()) {
-                my.speaker.speakSync(that.getAnnouncement());
+                my.speaker.speakSync(my.settings.useAuditoryMode() ?
+                                     that.getPreview() :
+                                     that.getAnnouncement());
             }
         },
         toggle: function() {
-            // Turn button on and off.
+            // Turn button on and off. In menus that highlight by rows, the
+            // button's whole row is highlighted along with it.
             my.buttonElem.classList.toggle("buttonOn");
             my.buttonElem.classList.toggle("buttonOff");
+            if (my.menu.getInfo().highlight === "row") {
+                my.buttonElem.closest("tr").classList.toggle("rowHighlight");
+            }
+            if (my.buttonElem.classList.contains("buttonOff")) {
+                that.hideProgress();
+            }
         },
+        showProgress: function(duration) {
+            // Show a bar that fills up over the given time, until the scan moves on.
+            my.buttonElem.style.setProperty("--progress-duration", `${duration}ms`);
+            my.buttonElem.classList.add("scanProgress");
+        },
+        hideProgress: () => my.buttonElem.classList.remove("scanProgress"),
         pressed: function() {
             // speakAsync button name (if sound is on) and perform button action. This
             // method is "abstract" in the sense that "that.action" must be
@@ -112,7 +135,8 @@ function makeGenericButton(spec, my) {
                     that.getButtonValue());
         },
         selectsDropdownMenu: () => (that.buttonType === "menuSelector" &&
-                                    that.getTargetMenu().getInfo().hide === "dropdown")
+                                    that.getTargetMenu().getInfo().hide === "dropdown"),
+        getPreview: () => that.getAnnouncement() // A short version of the announcement, for scanning by ear.
     };
     Object.assign(that, thatAssignments);
 
@@ -150,6 +174,7 @@ function makeTextButton(spec, my) {
     Object.assign(that, thatAssignments1);
     let thatAssignments2 = {    // Need to assign separately since "action" uses that.getText.
         action: function() {
+            my.undo = my.buffer.snapshot();
             my.buffer.write(that.getText(), that.getTextCategory());
             my.finished();
         }
@@ -213,6 +238,7 @@ function makeBufferActionButton(spec, my) {
     // Public additions.
     let thatAssignments= {
         action: function() {
+            my.undo = my.buffer.snapshot();
             my.buffer.executeAction(my.getActionName(), my.finished); // Pass the callback along to the buffer method
         }
     };
@@ -233,8 +259,10 @@ function makeMenuSelectorButton(spec, my) {
     let assignments = {
         action: function() {
             // Unhide the next menu if it's a dropdown. Also register an event
-            // handler so the menu will slide back up on a mouse click.
+            // handler so the menu will slide back up on a mouse click. To undo,
+            // slide it back up.
             let target = that.getTargetMenu();
+            my.undo = () => true;
             if (target.getInfo().hide === "dropdown") {
                 target.slideDown();
                 let onClick = function() {
@@ -242,6 +270,10 @@ function makeMenuSelectorButton(spec, my) {
                     document.removeEventListener("click", onClick);
                 };
                 document.addEventListener("click", onClick);
+                my.undo = function() {
+                    onClick();
+                    return true;
+                };
             }
             my.finished();
         },
@@ -250,6 +282,19 @@ function makeMenuSelectorButton(spec, my) {
             let targetName = my.buttonElem.dataset.target;
             let menus = my.menu.getMenus();
             return menus[targetName];
+        },
+        getPreview: function() {
+            // A button that stands for a row is labeled by its row number,
+            // which means little to someone who can't see the commboard.
+            // Preview the row by its first and last buttons instead, e.g.
+            // "row a to f".
+            if (my.menu.getInfo().highlight !== "row") {
+                return that.getAnnouncement();
+            }
+            let language = my.settings.getLanguageSettings().getLanguage();
+            let range = util.describeRange(that.getTargetMenu().getButtons(), language,
+                                           { en: "row ", fr: "rangée ", es: "fila " });
+            return range === null ? that.getAnnouncement() : range;
         }
     };
     Object.assign(that, assignments);
@@ -283,16 +328,37 @@ function makeCallBellButton(spec, my) {
 }
 registerConstructor("callBell", makeCallBellButton);
 
+function makeSleepButton(spec, my) {
+    // Constructor for the button that lets the user rest. The button itself
+    // does nothing; when it finishes, the scanner sees its type and goes to
+    // sleep until the user wakes it.
+
+    my = my || {};
+    let that = makeGenericButton(spec, my);
+
+    // Additional methods.
+    let assignments = {
+        action: () => my.finished()
+    };
+    Object.assign(that, assignments);
+
+    return that;
+}
+registerConstructor("sleep", makeSleepButton);
+
 function makeEmailButton(spec, my) {
     // Constructor for buttons that send email. These buttons have two important
     // methods:
     // setRecipient: sets the email recipient for the button, which allows for
     //     each user to customize who he / she sends emails to.
-    // action: send the email.
+    // action: send the email, possibly after a grace period to undo it.
 
     my = my || {};
     let that = makeGenericButton(spec, my);
 
+    // Internal constants.
+    const UNDO_MARGIN = 2000;   // Extra time to wait before sending, for the gaze speed and pauses.
+
     // Private additions.
     let myAssignments = {
         address: null,
@@ -309,7 +375,11 @@ function makeEmailButton(spec, my) {
         },
 
         action: function() {
-            // The procedure that sends the email.
+            // The procedure that sends the email. If the user can undo their
+            // selections, the email waits, from when the button finishes, for
+            // as long as an undo may take to arrive: the undo time, plus up to
+            // two gazes short of a long gaze (a double gaze) and the pause
+            // between them. Undoing cancels it; the scan goes on meanwhile.
             const emailSettings = my.settings.getEmailSettings();
             const signature = emailSettings.getSignature();
             const address = emailSettings.getAddress();
@@ -317,39 +387,78 @@ function makeEmailButton(spec, my) {
             const signoffText = (`This message was sent for ${signature} using ` +
                                  "wedjat, experimental software to enable people " +
                                  "with disabilities to use a computer.");
-
-            function afterSend(error, info) {
-                // Callback to invoke after message has been sent.
-                if (error) {
-                    // If something goes wrong, inform user and dump the error info.
-                    my.speaker.speakAsync({ en: "An error ocurred.",
-                                            fr: "une erreur est survenue" },
-                                          my.finished, my.buttonElem);
-                    console.log(error);
-                } else {
-                    // Otherwise, inform user of success and continue program.
-                    my.speaker.speakAsync({ en: `Message sent to ${that.getButtonValue()}`,
-                                            fr: `Message envoyé à ${that.getButtonValue()}`},
-                                          my.finished,
-                                          my.buttonElem);
+            const delay = (my.settings.getUndoTrigger() === "off" ?
+                           0 :
+                           (my.settings.getUndoWindow() + 2 * my.settings.getLongGazeTime() +
+                            UNDO_MARGIN));
+            const text = my.buffer.getText(); // Send the text as it is now, even if the buffer changes while waiting.
+
+            function send(cb) {
+                function afterSend(error, info) {
+                    // Callback to invoke after message has been sent.
+                    if (error) {
+                        // If something goes wrong, inform user and dump the error info.
+                        my.speaker.speakAsync({ en: "An error ocurred.",
+                                                fr: "une erreur est survenue" },
+                                              cb, my.buttonElem);
+                        console.log(error);
+                    } else {
+                        // Otherwise, inform user of success and continue program.
+                        my.speaker.speakAsync({ en: `Message sent to ${that.getButtonValue()}`,
+                                                fr: `Message envoyé à ${that.getButtonValue()}`},
+                                              cb,
+                                              my.buttonElem);
+                    }
                 }
+                const transporter = nodemailer.createTransport({  // For details, see https://nodemailer.com/
+                    service: 'gmail',
+                    auth: {
+                        user: address,
+                        pass: password
+                    }
+                });
+                const mailOptions = {
+                    from: `"${signature}" <${address}>`,
+                    to: `${my.address}`, // list of receivers
+                    subject: `A message from ${signature}`, // Subject line
+                    text: text + "\n\n\n" + signoffText // plaintext body
+                };
+
+                // Send the email.
+                transporter.sendMail(mailOptions, afterSend);
+            }
+
+            if (delay === 0) {
+                my.undo = null;
+                send(my.finished);
+            } else {
+                let pending = null;
+                const startWaiting = function() {
+                    // Finish first, so that the scanner's undo time starts no later than the wait.
+                    my.finished();
+                    pending = setTimeout(function() {
+                        pending = null;
+                        send(() => null);
+                    }, delay);
+                };
+                my.undo = function() {
+                    // Cancel the email, if it hasn't gone yet. Report whether it was cancelled.
+                    if (pending === null) {
+                        return false;
+                    }
+                    clearTimeout(pending);
+                    pending = null;
+                    my.speaker.speakSync({ en: "Message cancelled.",
+                                           fr: "Message annulé.",
+                                           es: "Mensaje cancelado." });
+                    return true;
+                };
+                my.speaker.speakAsync({ en: `Sending to ${that.getButtonValue()}`,
+                                        fr: `Envoi à ${that.getButtonValue()}`,
+                                        es: `Enviando a ${that.getButtonValue()}` },
+                                      startWaiting,
+                                      my.buttonElem);
             }
-            const transporter = nodemailer.createTransport({  // For details, see https://nodemailer.com/
-                service: 'gmail',
-                auth: {
-                    user: address,
-                    pass: password
-                }
-            });
-            const mailOptions = {
-                from: `"${signature}" <${address}>`,
-                to: `${my.address}`, // list of receivers
-                subject: `A message from ${signature}`, // Subject line
-                text: my.buffer.getText() + "\n\n\n" + signoffText // plaintext body
-            };
-
-            // Send the email.
-            transporter.sendMail(mailOptions, afterSend);
         }
     };
     Object.assign(that, thatAssignments);
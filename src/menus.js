@@ -1,6 +1,7 @@
 "use strict";
 
 // npm imports
+const EventEmitter = require("events");
 const jQuery = require("jquery");
 const _ = require("underscore");
 
@@ -23,14 +24,22 @@ const util = require("./util.js");
 // The "menu" procedure does its work by looking up the actual constructor to
 // call in the table "constructors", which is keyed by the menu's
 // name. Constructors are added this table by passing a menu and a base
-// procedure, as well as two extra behaviors, into "registerConstructor".
+// procedure, as well as extra behaviors, into "registerConstructor".
 //
-// The two extra behaviors specify the hiding behavior and scanning behavior of
+// The first two behaviors specify the hiding behavior and scanning behavior of
 // the menu. Some menus (labeled "dropdown") should be hideable, while others
 // (labeled "commboard") should always be visible. Likewise, some menus (labeled
 // "repeat") should start over when finished scanning, while others (labeled
 // "finish") should return control to their calling menu.
 //
+// Two optional behaviors control how a menu is presented while scanning.
+// "highlight" may be "row", for menus whose buttons each stand for a row of
+// the commboard: the whole row is highlighted along with the button. "groups"
+// lets a menu be scanned in two stages when the user turns on group scanning:
+// first by groups of buttons, then by the buttons of the selected group. It
+// may be "rows" (one group per table row), "halves", or a number of buttons
+// per group.
+//
 // This is simpler to understand in code. See the calls to "registerConstructor"
 // below.
 
@@ -173,7 +182,20 @@ function makeGenericMenu(menuSpec, my) {
         getInfo: function() {
             return { menuName: my.menuName,
                      hide: my.hide,
-                     scanType: my.scanType };
+                     scanType: my.scanType,
+                     highlight: my.highlight,
+                     groups: my.groups };
+        },
+        getScanItems: function() {
+            // The items to scan: the buttons, or selectors for groups of them.
+            if (my.groups === undefined || !my.settings.useGroupScanning()) {
+                return my.buttons;
+            }
+            if (my.groupSelectors === undefined) {
+                my.groupSelectors = splitGroups(my.buttons, my.groups).map(
+                    (buttons, ix) => makeGroupSelector(that, buttons, ix, my));
+            }
+            return my.groupSelectors;
         }
     };
     Object.assign(that, thatAssignments);
@@ -186,12 +208,16 @@ function makeGenericMenu(menuSpec, my) {
 }
 // Register menu constructors by building on the "makeGenericMenu" constructor.
 registerConstructor("composeMain", makeGenericMenu, { hide: "commboard",
-                                                      scanType: "repeat" });
+                                                      scanType: "repeat",
+                                                      highlight: "row" });
 registerConstructor("extras", makeGenericMenu, { hide: "commboard",
+                                                 scanType: "finish",
+                                                 groups: "halves" });
+registerConstructor("punctuation", makeGenericMenu, { hide: "dropdown",
+                                                      scanType: "finish",
+                                                      groups: "rows" });
+registerConstructor("buffer", makeGenericMenu, { hide: "dropdown",
                                                  scanType: "finish" });
-["punctuation", "buffer"].forEach(
-    (name) => registerConstructor(name, makeGenericMenu, { hide: "dropdown",
-                                                           scanType: "finish" }));
 
 function makeLetterMenu(spec, my) {
     // Factory function for menu objects containing letter buttons.
@@ -224,7 +250,8 @@ function makeLetterMenu(spec, my) {
 }
 ["letter1", "letter2", "letter3", "letter4"].forEach(
     (name) => registerConstructor(name, makeLetterMenu, { hide: "commboard",
-                                                          scanType: "finish" }));
+                                                          scanType: "finish",
+                                                          groups: "halves" }));
 
 
 function makeGuessMenu(spec, my) {
@@ -308,7 +335,8 @@ function makeGuessMenu(spec, my) {
     return that;
 }
 registerConstructor("guess", makeGuessMenu, { hide: "commboard", // register the guess menu constructor.
-                                              scanType: "finish" });
+                                              scanType: "finish",
+                                              groups: "halves" });
 
 function makeEmailMenu(spec, my) {
     // Factory function for menus offering email functionality. In addition to
@@ -344,4 +372,80 @@ function makeEmailMenu(spec, my) {
     return that;
 }
 registerConstructor("email", makeEmailMenu, { hide: "dropdown", // register the email menu constructor.
-                                              scanType: "finish" });
+                                              scanType: "finish",
+                                              groups: "halves" });
+
+// ************************************************************************** //
+
+// Group scanning. The groups of a menu are scanned like the buttons of a menu
+// of their own, whose selectors are scanned in place of the menu's buttons.
+
+function splitGroups(buttons, groups) {
+    // Split a menu's buttons into groups, as declared by the menu's "groups" behavior.
+    if (groups === "rows") {
+        let rows = [];
+        buttons.forEach(function(button) {
+            let row = button.buttonElem.closest("tr");
+            let group = rows.find((entry) => entry.row === row);
+            if (group === undefined) {
+                rows.push({ row, buttons: [button] });
+            } else {
+                group.buttons.push(button);
+            }
+        });
+        return rows.map((entry) => entry.buttons);
+    }
+    let size = groups === "halves" ? Math.ceil(buttons.length / 2) : groups;
+    return _.range(0, buttons.length, size).map((start) => buttons.slice(start, start + size));
+}
+
+function makeGroupSelector(parent, buttons, ix, my) {
+    // Create a selector for a group of buttons of the menu "parent". The
+    // selector is scanned like a menu selector button: it highlights and
+    // announces the whole group, and its target is a menu holding just the
+    // buttons of the group. Empty buttons are left out of the announcement.
+
+    // Private variables
+    let emitter = new EventEmitter();
+    let groupMenu = {
+        getButtons: () => buttons,
+        getNButtons: () => buttons.length,
+        getScanItems: () => buttons,
+        getMenus: parent.getMenus,
+        getInfo: () => ({ menuName: `${parent.getInfo().menuName}Group${ix}`,
+                          hide: "commboard",
+                          scanType: "finish" }),
+        slideUp: () => null,
+        slideDown: () => null
+    };
+
+    // Private methods
+    const nonEmpty = () => buttons.filter((button) => !button.isEmpty());
+
+    // The returned object.
+    let that = {
+        buttonType: "menuSelector",
+        getMenu: () => parent,
+        getTargetMenu: () => groupMenu,
+        selectsDropdownMenu: () => false,
+        isEmpty: () => nonEmpty().length === 0,
+        getWaitMultiplier: () => 1,
+        getButtonValue: () => nonEmpty().map((button) => button.getButtonValue()).join(" "),
+        toggle: () => buttons.forEach((button) => button.toggle()),
+        showProgress: (duration) => buttons.forEach((button) => button.showProgress(duration)),
+        hideProgress: () => buttons.forEach((button) => button.hideProgress()),
+        announce: function() {
+            // State the first and last buttons of the group, e.g. "a to c".
+            let language = my.settings.getLanguageSettings().getLanguage();
+            let range = util.describeRange(buttons, language);
+            if (my.settings.useSound() && range !== null) {
+                my.speaker.speakSync(range);
+            }
+        },
+        getUndo: () => () => true, // Nothing to reverse; the scanner just goes back to the parent.
+        pressed: () => emitter.emit("buttonFinished"),
+        addFinishedListener: (listener) => emitter.once("buttonFinished", listener)
+    };
+
+    return that;
+}
@@ -0,0 +1,166 @@
+"use strict";
+
+// ************************************************************************** //
+
+// This module exposes the procedure "preprocess", which runs an image through
+// a pipeline of stages before it is compared against the templates. Each stage
+// makes the comparison less sensitive to the lighting in the room. The stages
+// are registered in the "stages" table, keyed by name, and the pipeline is
+// given as a list of stage names. Whatever the order of that list, stages are
+// always run in the order in which they are registered, so that the frames
+// from the camera and the templates are always treated the same way.
+//
+// Images are objects with width, height, and an RGBA data array, like the
+// imageData objects returned by a canvas. The stages never modify their input;
+// each returns a new image.
+//
+// Like distance.js, this module is also loaded by the distance worker, where
+// there is no "module" object and the procedures below are simply global.
+
+// ************************************************************************** //
+
+let stages = {};
+let stageOrder = [];
+function registerStage(name, stage) {
+    // Register a preprocessing stage.
+    stages[name] = stage;
+    stageOrder.push(name);
+}
+
+function preprocess(img, pipeline) {
+    // Run img through every stage named in pipeline, and return the result.
+    const inPipeline = (name) => pipeline.indexOf(name) !== -1;
+    return stageOrder.filter(inPipeline).reduce((result, name) => stages[name](result), img);
+}
+
+if (typeof module !== "undefined") {
+    module.exports = { preprocess,
+                       getStageNames: () => stageOrder.slice() };
+}
+
+// ************************************************************************** //
+
+// Helpers
+
+function makeImage(width, height) {
+    // Create an empty image of the given size.
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+function mapPixels(img, fn) {
+    // Return a new image, with each color value v in channel c replaced by
+    // fn(v, c). Alpha values are copied as they are.
+    let result = makeImage(img.width, img.height);
+    let x = img.data;
+    let y = result.data;
+    for (let i = 0; i < x.length; i += 4) {
+        y[i] = fn(x[i], 0);
+        y[i + 1] = fn(x[i + 1], 1);
+        y[i + 2] = fn(x[i + 2], 2);
+        y[i + 3] = x[i + 3];
+    }
+    return result;
+}
+
+// ************************************************************************** //
+
+// The stages.
+
+function grayscale(img) {
+    // Replace each pixel by its luminance. Removes the effect of changes in the
+    // color of the light (e.g. daylight versus a bedside lamp).
+    let result = makeImage(img.width, img.height);
+    let x = img.data;
+    let y = result.data;
+    for (let i = 0; i < x.length; i += 4) {
+        let luma = 0.299 * x[i] + 0.587 * x[i + 1] + 0.114 * x[i + 2];
+        y[i] = y[i + 1] = y[i + 2] = luma;
+        y[i + 3] = x[i + 3];
+    }
+    return result;
+}
+registerStage("grayscale", grayscale);
+
+function blur(img) {
+    // Average each pixel with its neighbors (a 3x3 box blur). Smooths out
+    // camera noise, which is worst in dim light.
+    let result = makeImage(img.width, img.height);
+    let { width, height } = img;
+    let x = img.data;
+    let y = result.data;
+    for (let row = 0; row < height; row += 1) {
+        for (let col = 0; col < width; col += 1) {
+            let sums = [0, 0, 0];
+            let n = 0;
+            for (let dr = -1; dr <= 1; dr += 1) {
+                for (let dc = -1; dc <= 1; dc += 1) {
+                    let r = row + dr;
+                    let c = col + dc;
+                    if (r >= 0 && r < height && c >= 0 && c < width) {
+                        let j = (r * width + c) * 4;
+                        sums[0] += x[j];
+                        sums[1] += x[j + 1];
+                        sums[2] += x[j + 2];
+                        n += 1;
+                    }
+                }
+            }
+            let i = (row * width + col) * 4;
+            y[i] = sums[0] / n;
+            y[i + 1] = sums[1] / n;
+            y[i + 2] = sums[2] / n;
+            y[i + 3] = x[i + 3];
+        }
+    }
+    return result;
+}
+registerStage("blur", blur);
+
+function normalize(img) {
+    // Shift and scale the color values so that they have a fixed mean and
+    // standard deviation. Removes overall changes in brightness and contrast.
+
+    // Constants
+    const TARGET_MEAN = 128;
+    const TARGET_SD = 48;
+
+    let x = img.data;
+    let sum = 0;
+    let sumSquares = 0;
+    let n = 0;
+    for (let i = 0; i < x.length; i += 1) {
+        if (i % 4 !== 3) {      // Ignore the alpha values.
+            sum += x[i];
+            sumSquares += x[i] * x[i];
+            n += 1;
+        }
+    }
+    let mean = sum / n;
+    let sd = Math.sqrt(Math.max(sumSquares / n - mean * mean, 0));
+    let scale = sd > 0 ? TARGET_SD / sd : 1;
+    return mapPixels(img, (v) => (v - mean) * scale + TARGET_MEAN);
+}
+registerStage("normalize", normalize);
+
+function equalize(img) {
+    // Histogram equalization, channel by channel: map color values so that
+    // they are spread evenly over the full range. Brings out detail around
+    // the eye when the face is in shadow.
+    let x = img.data;
+    let nPixels = x.length / 4;
+    let maps = [0, 1, 2].map(function(channel) {
+        let histogram = new Array(256).fill(0);
+        for (let i = channel; i < x.length; i += 4) {
+            histogram[x[i]] += 1;
+        }
+        let map = new Array(256);
+        let cumulative = 0;
+        histogram.forEach(function(count, v) {
+            cumulative += count;
+            map[v] = 255 * cumulative / nPixels;
+        });
+        return map;
+    });
+    return mapPixels(img, (v, channel) => maps[channel][v]);
+}
+registerStage("equalize", equalize);
@@ -0,0 +1,128 @@
+"use strict";
+
+// npm imports
+const fs = require("fs");
+const path = require("path");
+
+// ************************************************************************** //
+
+// This module exposes the procedure "recorder", the constructor for the
+// session recorder. When the user checks the "Record Session" box, the
+// recorder creates a folder named after the current time, and writes
+// everything needed to analyze the session into it:
+//   frames/      Each camera frame compared by the detector, as a PNG file.
+//                The folder can be replayed with the replay detector.
+//   distances.csv  The distances to the rest and gaze samples for each frame.
+//   events.csv   Gesture events from the detector and button presses from
+//                the scanner.
+//   templates.json, preferences.json  Copies of the templates and settings
+//                in use when recording started.
+// When the box is unchecked, recording stops. The other objects in the
+// program report to the recorder whether or not it is recording; the recorder
+// ignores them when it isn't.
+
+// ************************************************************************** //
+
+module.exports = recorder;
+
+function recorder() {
+    // Constructor for the recorder object.
+
+    // Constants
+    const SESSIONS_DIR = "./sessions";
+    const COPIED_FILES = ["./templates.json", "./preferences.json"];
+
+    // Private variables
+    let recordElem = document.querySelector("input[type=checkbox][value=record]");
+    let sessionDir = null;      // The folder of the current session, when recording.
+    let startTime = null;
+    let nFrames = 0;
+
+    // Private methods
+    const elapsed = () => new Date() - startTime;
+    const pad = (n) => ("000000" + n).slice(-6);
+
+    function append(file, fields) {
+        // Append a line of comma-separated fields to a file of the current
+        // session. Lines are short, so they are written synchronously to keep
+        // them in order.
+        try {
+            fs.appendFileSync(path.join(sessionDir, file), fields.join(",") + "\n");
+        } catch (e) {
+            console.log(`Could not write ${file}.`);
+        }
+    }
+
+    function start() {
+        // Create the folder for a new session and write the file headers.
+        let stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        sessionDir = path.join(SESSIONS_DIR, stamp);
+        try {
+            [SESSIONS_DIR, sessionDir, path.join(sessionDir, "frames")].forEach(function(dir) {
+                if (!fs.existsSync(dir)) {
+                    fs.mkdirSync(dir);
+                }
+            });
+        } catch (e) {
+            console.log(`Could not create ${sessionDir}.`);
+            recordElem.checked = false;
+            sessionDir = null;
+            return;
+        }
+        COPIED_FILES.filter((file) => fs.existsSync(file)).forEach(function(file) {
+            try {
+                fs.writeFileSync(path.join(sessionDir, path.basename(file)),
+                                 fs.readFileSync(file));
+            } catch (e) {
+                console.log(`Could not copy ${file}.`);
+            }
+        });
+        startTime = new Date();
+        nFrames = 0;
+        append("distances.csv", ["time", "frame", "dRest", "dGaze"]);
+        append("events.csv", ["time", "event", "detail"]);
+        that.recordEvent("recordingStarted", startTime.toISOString());
+    }
+
+    function stop() {
+        that.recordEvent("recordingStopped", new Date().toISOString());
+        sessionDir = null;
+    }
+
+    function toggle() {
+        // Invoked when the user checks or unchecks the "Record Session" box.
+        if (recordElem.checked) {
+            start();
+        } else {
+            stop();
+        }
+    }
+
+    // The returned object.
+    let that = {
+        isRecording: () => sessionDir !== null,
+        recordFrame: function(canvas, dRest, dGaze) {
+            // Save the frame drawn on a canvas, and the distances computed for it.
+            if (!that.isRecording()) {
+                return;
+            }
+            nFrames += 1;
+            let frame = pad(nFrames);
+            let data = canvas.toDataURL().replace(/^data:image\/png;base64,/, "");
+            fs.writeFile(path.join(sessionDir, "frames", `${frame}.png`), data, "base64",
+                         (err) => err && console.log(`Could not write frame ${frame}.`));
+            append("distances.csv", [elapsed(), frame, dRest, dGaze]);
+        },
+        recordEvent: function(name, detail) {
+            // Record an event, e.g. the beginning of a gesture or a button press.
+            if (that.isRecording()) {
+                let text = detail === undefined ? "" : JSON.stringify(String(detail));
+                append("events.csv", [elapsed(), name, text]);
+            }
+        }
+    };
+
+    // Bind event handler and return.
+    recordElem.addEventListener("change", toggle);
+    return that;
+}
@@ -15,40 +15,69 @@
 
 module.exports = scanner;
 
-function scanner(mainMenu, detector, settings, speaker) {
+function scanner(mainMenu, detector, settings, speaker, recorder) {
     // Constructor for scanner objects. The returned object exposes a single
     // method called scan(), which in turn relies upon the scanMenu function to
     // do its work. The scanMenu function is a bit tricky, and itself includes a
     // number of internal variables and function definitions.
 
-    // Constants
-    const N_LOOPS = 2;               // Loop through a menu twice before exiting.
-    const LONG_GAZE_TIME = 2000;     // A long gaze must last for 2 s.
+    // Constants. The number of loops through a menu before exiting, and the
+    // lengths of a long gaze and of the gaze that starts a scan, are set by the
+    // user; they are read from the settings each time they are needed.
     const BEEP_DURATION = 250;       // Length of beep informing of long gaze detection.
     const BEEP_FREQ = 300;           // The pitch of said beep.
+    const BELL_RINGS = 3;            // The call bell rings three times,
+    const BELL_DURATION = 300;       // for 300 ms each,
+    const BELL_FREQ = 880;           // at a high pitch.
+    const DOUBLE_GAZE_PAUSE = 1000;  // The second gaze of a double gaze ends within 1 s, plus the gaze speed, of the first.
+    const CUE_DURATION = 250;        // Each tone of the sleep and wake cues lasts 250 ms.
+    const SLEEP_TONES = [660, 440, 330]; // Falling tones to go to sleep,
+    const WAKE_TONES = [330, 440, 660];  // rising tones to wake up.
 
     // Local variables
     let startButton = document.querySelector("input[type=button][name=start]");
     let stopButton = document.querySelector("input[type=button][name=stop]");
     let started = true;
+    let lastSelection = null;   // The latest selection, for undoing it.
 
     // Procedures
     const signalLongGaze = () => speaker.beep(BEEP_FREQ, BEEP_DURATION);
 
+    function callBell() {
+        // Call for a caregiver: ring a few times, then ask for help.
+        const ring = () => speaker.beep(BELL_FREQ, BELL_DURATION);
+        for (let i = 0; i < BELL_RINGS; i += 1) {
+            setTimeout(ring, 2 * i * BELL_DURATION);
+        }
+        setTimeout(() => speaker.speakSync({ en: "I need help.",
+                                             fr: "j'ai besoin d'aide.",
+                                             es: "necesito ayuda." }, "output"), // Spoken on the user's behalf.
+                   2 * BELL_RINGS * BELL_DURATION);
+    }
+
+    function cue(tones, phrase, cb) {
+        // Play a sequence of tones, then speak a phrase and invoke the callback.
+        let statusElem = document.getElementById("detectorStatus");
+        tones.forEach((freq, i) => setTimeout(() => speaker.beep(freq, CUE_DURATION), i * CUE_DURATION));
+        setTimeout(() => speaker.speakAsync(phrase, cb, statusElem, 0), tones.length * CUE_DURATION);
+    }
+
     function registerListeners(cbBegin, cbEnd, cbClick) {
         // During scanning, the scanner must listen for three different inputs
         // from the user. The first is the beginning of a gesture (e.g. an
         // upward gaze). The second is the end of such a gesture. The third is
-        // an assistant pressing the stop button. For each of these user events,
-        // assign an event handler.
+        // a request to stop (e.g. an assistant pressing the stop button), which
+        // comes through the detector. For each of these user events, assign an
+        // event handler. The gesture handlers are passed the name of the
+        // gesture, which the settings map to an action.
         detector.addBeginListener(cbBegin);
         detector.addEndListener(cbEnd);
-        stopButton.addEventListener("click", cbClick);
+        detector.addStopListener(cbClick);
     }
 
     function unregisterListeners(cbBegin, cbEnd, cbClick) {
         // Unregister the event handlers for the three events described above.
-        stopButton.removeEventListener("click", cbClick);
+        detector.removeStopListener(cbClick);
         detector.removeBeginListener(cbBegin);
         detector.removeEndListener(cbEnd);
     }
@@ -73,6 +102,16 @@ function scanner(mainMenu, detector, settings, speaker) {
         // in when this menu began scanning.
         // 3. Pressing the stop button (implemented by pressStop). When the
         // scanner terminates the scan and sets the program back to "idle".
+        // A gaze much longer than a long gaze (the sleep gaze) puts the scanner
+        // to sleep instead of leaving the menu, as does the "sleep" button.
+        //
+        // What a gaze does depends on the action that the user has assigned to
+        // its gesture in the settings. The above describes "select". The other
+        // actions take effect when a gesture of at least the gaze speed ends:
+        // "next" moves straight on to the next button, "back" leaves the menu
+        // like a long gaze, "pause" stops the scan on the current button until
+        // the next "pause", and "callBell" calls for a caregiver without
+        // interrupting the scan.
         //
         // If the user enters a short gaze, then the scanner "presses" a button
         // by invoking pressButton. However, the scanner doesn't know how long
@@ -93,71 +132,258 @@ function scanner(mainMenu, detector, settings, speaker) {
         // point" so that, if input is recieved, the scanner will know which
         // button to press. If no input is received after a given time interval,
         // the step function continues on to the next button.
+        //
+        // That is automatic scanning. In inverse scanning, the step function
+        // doesn't move on by itself. Instead, the scan only moves on while the
+        // user holds a selecting gesture, and letting go of the gesture
+        // selects the button under point. The menus, announcements and button
+        // callbacks are the same in either mode.
+        //
+        // The user can also undo a mistaken selection, if they have chosen an
+        // undo trigger in the settings. Each time a button finishes, the
+        // scanner remembers how to reverse what it did (the button tells it)
+        // and how to scan again the menu it was pressed in. With the
+        // "afterSelect" trigger, a selecting gaze that begins within the undo
+        // time of a selection takes that selection back, instead of selecting
+        // anything. With "doubleGaze", it takes two short gazes in quick
+        // succession: a selecting gaze within the undo time is held back until
+        // it is clear that no second gaze follows, and only then selects. The
+        // scan then resumes in the menu of the mistaken selection. If the
+        // selection can no longer be reversed (e.g. the email has gone), the
+        // scanner says so and scans the current menu again.
+        //
+        // In step scanning, for users with two switches, the scan never moves
+        // on by itself either: one switch moves on to the next button (its
+        // gesture's action is "next") and the other selects. The scan loops
+        // until a selection is made. If an inactivity limit is set and
+        // neither switch is used for that long, the scanner gives up and
+        // goes back to listening.
 
         // State variables
-        let currentButton, gazeButton, startTime, timeout, longGazeTimeout;
+        let currentButton, gazeButton, gazeAction, startTime, timeout, longGazeTimeout, inactivityTimeout;
+        let pendingGaze = null; // With the doubleGaze trigger, a selection waiting for a possible second gaze.
+        let advance;            // Moves on from the current button to the next.
+        let paused = false;
+        let holding = false;    // In inverse scanning, is the user holding the gesture?
+        let scanMode = settings.getScanMode();
+
+        // The buttons to scan. If the menu scans by groups, these are
+        // selectors for the groups, each of which scans like a menu of its own.
+        let items = menu.getScanItems();
 
         // Procedures
-        const nextButton = (ix) => (ix + 1) % menu.getNButtons();
-        const isLastButton = (buttonIx) => buttonIx === menu.getNButtons() - 1;
+        const nextButton = (ix) => (ix + 1) % items.length;
+        const isLastButton = (buttonIx) => buttonIx === items.length - 1;
         const nextLoop = (buttonIx, loopIx) =>
                   isLastButton(buttonIx) ? loopIx + 1 : loopIx;
-        const isLoopOver = (loopIx) => loopIx === N_LOOPS;
+        const isLoopOver = (loopIx) => scanMode !== "step" && loopIx >= settings.getScanLoops();
         const getWaitTime = (button) =>
                   settings.getScanSpeed() * button.getWaitMultiplier();
+        const isTimed = () => scanMode === "automatic" || holding; // Does the scan move on by itself?
         const register = () => registerListeners(gazeBegin, gazeEnd, pressStop);
-        const unregister = () => unregisterListeners(gazeBegin, gazeEnd, pressStop);
+        const unregister = function() {
+            clearTimeout(inactivityTimeout);
+            clearTimeout(pendingGaze);
+            pendingGaze = null;
+            unregisterListeners(gazeBegin, gazeEnd, pressStop);
+        };
+        const leave = function() {
+            // Return to the calling menu. When scanning by ear, an earcon
+            // marks leaving the menu, as another marks entering it.
+            if (settings.useAuditoryMode()) {
+                speaker.earcon("exitMenu");
+            }
+            cb();
+        };
 
         //UI
         let eventLengthValue = document.getElementById("eventLengthValue");
-        //Ryan Campbell 2/27/2017
-        //highlights the row of button if we are scanning throught the rows of the commboard
-        function rowHighlight(button) {
-
-            if(menu === mainMenu) {
-                button.buttonElem.parentElement.parentElement.classList.toggle("rowHighlight");
-            }
-        }
 
-        function gazeBegin() {
+        function gazeBegin(gesture) {
             // Callback to execute if the beginning of a gaze was
-            // detected. Store the button that was under point as well as the
-            // time. Register a timeout to inform the user when they've stared
-            // long enough for a "long gaze".
+            // detected. Store the button that was under point, the action of
+            // the gesture, and the time. For a selection, register a timeout to
+            // inform the user when they've stared long enough for a "long gaze".
             gazeButton = currentButton;
+            gazeAction = settings.getGestureAction(gesture);
             startTime = new Date();
-            longGazeTimeout = setTimeout(signalLongGaze, LONG_GAZE_TIME);
-            speaker.toneStart(settings.getGazeSpeed());
+            clearTimeout(inactivityTimeout);
+            if (gazeAction === "select" && scanMode === "inverse") {
+                holding = true;
+                wait(advance);
+            } else if (gazeAction === "select") {
+                longGazeTimeout = setTimeout(signalLongGaze, settings.getLongGazeTime());
+                speaker.toneStart(settings.getGazeSpeed());
+            }
         }
         function gazeEnd() {
-            // Callback to execute if the end of a gaze was detected. Depending
-            // on the length of the gaze, either do nothing, press the button,
-            // or invoke the callback passed in to scanMenu.
+            // Callback to execute if the end of a gaze was detected. If the
+            // gaze was long enough, carry out the action of its gesture.
             clearTimeout(longGazeTimeout);
             let elapsed = new Date() - startTime;
             speaker.toneStop();
             eventLengthValue.textContent = `Last Event: ${elapsed} ms`;
-            if (elapsed >= settings.getGazeSpeed()) {
-                clearTimeout(timeout);
-                if (currentButton !== gazeButton) {
-                    currentButton.toggle();
-                    rowHighlight(currentButton);
-                }
-                if (elapsed < LONG_GAZE_TIME) {
-                    pressButton(gazeButton);
+            watchInactivity();
+            if (pendingGaze !== null && isShortSelect(elapsed)) {
+                clearTimeout(pendingGaze);
+                pendingGaze = null;
+                undo();
+            } else if (isUndo(elapsed) && settings.getUndoTrigger() === "doubleGaze") {
+                awaitSecondGaze(elapsed);
+            } else if (isUndo(elapsed)) {
+                undo();
+            } else if (holding) {
+                release(elapsed);
+            } else if (elapsed >= settings.getGazeSpeed() && gazeActions[gazeAction] !== undefined) {
+                gazeActions[gazeAction](elapsed);
+            }
+        }
+        function select(elapsed) {
+            // Depending on the length of the gaze, either press the button, or
+            // invoke the callback passed in to scanMenu.
+            clearTimeout(timeout);
+            if (currentButton !== gazeButton) {
+                currentButton.toggle();
+            }
+            if (elapsed < settings.getLongGazeTime()) {
+                pressButton(gazeButton);
 
-                } else {
-                    unregister();
-                    cb();
+            } else if (elapsed >= settings.getSleepGazeTime()) {
+                if (currentButton === gazeButton) {
+                    currentButton.toggle();
                 }
+                unregister();
+                lastSelection = null;
+                sleep();
+            } else {
+                unregister();
+                lastSelection = null;
+                leave();
+            }
+        }
+        const isShortSelect = (elapsed) => (gazeAction === "select" &&
+                                            elapsed >= settings.getGazeSpeed() &&
+                                            elapsed < settings.getLongGazeTime());
+        function isUndo(elapsed) {
+            // Is this gaze (the first of a double gaze) the undo trigger? It
+            // must be a short selecting gaze, soon after a selection that can
+            // be undone.
+            return (settings.getUndoTrigger() !== "off" &&
+                    isShortSelect(elapsed) &&
+                    lastSelection !== null && lastSelection.undo !== null &&
+                    startTime - lastSelection.time <= settings.getUndoWindow());
+        }
+        function awaitSecondGaze(elapsed) {
+            // Hold back the selection of a gaze until it is clear that it isn't
+            // the first of a double gaze. In inverse scanning, the scan stops
+            // meanwhile on the button under point.
+            if (holding) {
+                holding = false;
+                clearTimeout(timeout);
+                currentButton.hideProgress();
+                gazeButton = currentButton;
+            }
+            let button = gazeButton;
+            pendingGaze = setTimeout(function() {
+                pendingGaze = null;
+                gazeButton = button;
+                select(elapsed);
+            }, settings.getGazeSpeed() + DOUBLE_GAZE_PAUSE);
+        }
+        function undo() {
+            // Take back the last selection, then scan the menu where it was
+            // made again. If it couldn't be taken back, say so and scan this
+            // menu again.
+            clearTimeout(timeout);
+            holding = false;
+            unregister();
+            currentButton.toggle();
+            let entry = lastSelection;
+            lastSelection = null;
+            let undone = entry.undo();
+            recorder.recordEvent("undo", undone);
+            if (undone) {
+                speaker.speakAsync({ en: "undone.", fr: "annulé.", es: "deshecho." },
+                                   entry.resume, eventLengthValue, 0);
+            } else {
+                speaker.speakAsync({ en: "too late to undo.",
+                                     fr: "trop tard pour annuler.",
+                                     es: "demasiado tarde para deshacer." },
+                                   () => scanMenu(menu, cb), eventLengthValue, 0);
+            }
+        }
+        function release(elapsed) {
+            // In inverse scanning, stop moving on, and select the button under
+            // point; unless the gesture was too short to count.
+            holding = false;
+            clearTimeout(timeout);
+            currentButton.hideProgress();
+            if (elapsed >= settings.getGazeSpeed()) {
+                gazeButton = currentButton;
+                pressButton(currentButton);
+            }
+        }
+        function skip() {
+            // Move on to the next button without waiting.
+            clearTimeout(timeout);
+            advance();
+        }
+        function back() {
+            // Leave the menu.
+            clearTimeout(timeout);
+            currentButton.toggle();
+            unregister();
+            lastSelection = null;
+            leave();
+        }
+        function togglePause() {
+            // Hold the scan on the current button, or resume it.
+            paused = !paused;
+            clearTimeout(timeout);
+            currentButton.hideProgress();
+            if (paused) {
+                speaker.speakSync({ en: "paused.", fr: "pause.", es: "pausa." });
+            } else if (isTimed()) {
+                wait(advance);
+            }
+        }
+        function wait(proc) {
+            // Invoke proc once the current button has been under point for its
+            // wait time, showing the time left if the user wants to see it.
+            let waitTime = getWaitTime(currentButton);
+            timeout = setTimeout(proc, waitTime);
+            if (settings.useScanProgress()) {
+                currentButton.showProgress(waitTime);
+            }
+        }
+        function watchInactivity() {
+            // In step scanning, (re)start the countdown to giving up.
+            clearTimeout(inactivityTimeout);
+            let limit = settings.getStepTimeout();
+            if (scanMode === "step" && limit > 0) {
+                inactivityTimeout = setTimeout(giveUp, limit);
             }
         }
+        function giveUp() {
+            // Nobody is using the switches; cancel the scan and listen again.
+            unregister();
+            lastSelection = null;
+            currentButton.toggle();
+            clearTimeout(timeout);
+            listening = false;
+            listen();
+        }
+        const gazeActions = { select,
+                              next: skip,
+                              back,
+                              pause: togglePause,
+                              callBell };
         function pressStop() {
             // Callback to execute if the stop button was pressed. Cancel the
             // scan and return to idle.
             unregister();
+            lastSelection = null;
             currentButton.toggle();
-            rowHighlight(currentButton);
             clearTimeout(timeout);
             detector.idleMode();
             listening = false;
@@ -170,14 +396,26 @@ function scanner(mainMenu, detector, settings, speaker) {
             // when the button is finished doing its thing, and register this
             // callback.
             unregister();
+            recorder.recordEvent("buttonPress", button.getButtonValue());
             if (currentButton === gazeButton) {
                 button.toggle();
-                rowHighlight(button);
             }
+            button.addFinishedListener(() => remember(button));
             let bcb = makeButtonCallback(button);
             button.addFinishedListener(bcb);
             button.pressed();
         }
+        function remember(button) {
+            // Remember a button that has finished, for undoing it.
+            lastSelection = { undo: button.getUndo(),
+                              time: new Date(),
+                              resume: function() {
+                                  if (menu.getInfo().hide === "dropdown") {
+                                      menu.slideDown(); // It may have slid up when the scan left it.
+                                  }
+                                  scanMenu(menu, cb);
+                              } };
+        }
         function makeButtonCallback(button) {
             // Create the callback to be invoked when the given button is
             // finished.
@@ -191,9 +429,15 @@ function scanner(mainMenu, detector, settings, speaker) {
             // new menu. This is easier to understand in code than in English.
             let buttonType = button.buttonType;
             let scanType = menu.getInfo().scanType;
+            if (buttonType === "sleep") {
+                return function() {
+                    lastSelection = null;
+                    sleep();
+                };
+            }
             let bcb = (scanType === "repeat" ? // The callback to use if the button doesn't kick off a new menu.
                        () => scanMenu(menu, cb) :
-                       cb);
+                       leave);
             if (buttonType === "menuSelector") {
                 let afterTarget = function() { // The callback to be invoked after the target menu has finished.
                     if (button.selectsDropdownMenu()) {
@@ -209,10 +453,11 @@ function scanner(mainMenu, detector, settings, speaker) {
         function loop(buttonIx, loopIx) {
             // Loop over the buttons awaiting input. If we've gone too long
             // without any input, invoke the passed-in callback.
-            let button = menu.getButtons()[buttonIx];
+            let button = items[buttonIx];
             if (isLoopOver(loopIx)) {
                 unregister();
-                cb();
+                lastSelection = null;
+                leave();
             } else if (button.isEmpty()) {
                 loop(0, loopIx + 1);
             } else {
@@ -222,21 +467,24 @@ function scanner(mainMenu, detector, settings, speaker) {
         function step(button, buttonIx, loopIx) {
             // A single step in the scan.
             currentButton = button;
+            paused = false;
             button.toggle();
-            rowHighlight(button);
             button.announce();
-            let waitTime = getWaitTime(button);
             let next = function() {
                 button.toggle();
                 loop(nextButton(buttonIx), nextLoop(buttonIx, loopIx));
-                if(menu === mainMenu) {
-                    button.buttonElem.parentElement.parentElement.classList.toggle("rowHighlight");
-                }
             };
-            timeout = setTimeout(next, waitTime);
+            advance = next;
+            if (isTimed()) {
+                wait(next);
+            }
+            watchInactivity();
         }
 
         // Kick off the function
+        if (settings.useAuditoryMode()) {
+            speaker.earcon("enterMenu");
+        }
         register();
         loop(0, 0);
     }
@@ -250,22 +498,31 @@ function scanner(mainMenu, detector, settings, speaker) {
         if(listening) return;
         else listening = true;
 
-        let startTime, longGazeTimeout;
+        let startTime, gazeAction, longGazeTimeout;
         const register = () => registerListeners(gazeBegin, gazeEnd, pressStop);
         const unregister = () => unregisterListeners(gazeBegin, gazeEnd, pressStop);
         let eventLengthValue = document.getElementById("eventLengthValue");
 
-        function gazeBegin() {
-            // Beginning of gaze detected.
+        function gazeBegin(gesture) {
+            // Beginning of gaze detected. Only gestures that select can start a scan.
             startTime = new Date();
-            longGazeTimeout = setTimeout(signalLongGaze, LONG_GAZE_TIME); // Tell the user when they've gazed long enough
+            gazeAction = settings.getGestureAction(gesture);
+            if (gazeAction === "select") {
+                longGazeTimeout = setTimeout(signalLongGaze, settings.getStartGazeTime()); // Tell the user when they've gazed long enough
+            }
         }
         function gazeEnd() {
-            // End of gaze detected. If the gaze was long enough, start scanning.
+            // End of gaze detected. If the gaze was long enough, start
+            // scanning, or call the caregiver.
             clearTimeout(longGazeTimeout);
             let elapsed = new Date() - startTime;
             eventLengthValue.textContent = `Last Event: ${elapsed} ms`;
-            if (elapsed >= LONG_GAZE_TIME) {
+            if (gazeAction === "callBell" && elapsed >= settings.getGazeSpeed()) {
+                callBell();
+            } else if (gazeAction === "select" && elapsed >= settings.getSleepGazeTime()) {
+                unregister();
+                sleep();
+            } else if (gazeAction === "select" && elapsed >= settings.getStartGazeTime()) {
                 unregister();
                 detector.scanMode();
                 scanMenu(mainMenu, () => {
@@ -290,6 +547,49 @@ function scanner(mainMenu, detector, settings, speaker) {
         register();
     }
 
+    function sleep() {
+        // Let the user rest: the scanner ignores every gesture except the wake
+        // gesture, held for the wake gaze time, after which it scans the main
+        // menu. The detector keeps watching, and says it's sleeping. The
+        // scanner counts as listening meanwhile, so the start button doesn't
+        // start a scan over it.
+        listening = true;
+
+        let startTime = null;
+        const register = () => registerListeners(gazeBegin, gazeEnd, pressStop);
+        const unregister = () => unregisterListeners(gazeBegin, gazeEnd, pressStop);
+
+        function gazeBegin(gesture) {
+            startTime = gesture === settings.getWakeGesture() ? new Date() : null;
+        }
+        function gazeEnd() {
+            if (startTime !== null && new Date() - startTime >= settings.getWakeGazeTime()) {
+                unregister();
+                recorder.recordEvent("wake");
+                cue(WAKE_TONES, { en: "I'm awake.", fr: "je suis réveillé.", es: "estoy despierto." }, function() {
+                    detector.scanMode();
+                    scanMenu(mainMenu, () => {
+                        listening = false;
+                        listen();
+                    });
+                });
+            }
+            startTime = null;
+        }
+        function pressStop() {
+            // The stop button works as when listening.
+            speaker.speakSync({ en: "stopping.",
+                                fr: "arrêt",
+                                es: "parar"});
+            unregister();
+            detector.idleMode();
+            listening = false;
+        }
+        recorder.recordEvent("sleep");
+        detector.sleepMode();
+        cue(SLEEP_TONES, { en: "Going to sleep.", fr: "mise en veille.", es: "a dormir." }, register);
+    }
+
     function scan() {
         // Scan the main menu.
         detector.scanMode();
@@ -298,6 +598,7 @@ function scanner(mainMenu, detector, settings, speaker) {
 
     // Register buttons and return the object, which exposes a method to scan.
     startButton.addEventListener("click", listen);
+    stopButton.addEventListener("click", detector.stop);
 
     let that = { scan };
     return that;
@@ -5,8 +5,8 @@ const jQuery = require("jquery");
 require("jquery-ui");
 const EventEmitter = require("events");
 const util = require("./util");
+const { GESTURES } = require("./detector");
 const _ = require("underscore");
-const fs = require('fs');
 
 // This module exposes the procedure "settings", the constructor for the
 // settings object. The settings object exposes the settings passed in from the
@@ -21,9 +21,29 @@ const fs = require('fs');
  *   to save the scan speed and blink speed settings locally.
  */
 
+// Constants
+const PREFERENCES_FILE = "./preferences.json";
+
 // Exports
 module.exports = settings;
 
+/*
+ *      This restores user preferences already saved
+ */
+function readPreferences() {
+    return util.readJSON(PREFERENCES_FILE);
+}
+
+/*
+ *      This allows the user to save some preferences
+ */
+function savePreference(name, value) {
+    //Read local preferences so that other saved values are kept
+    let preferences = readPreferences();
+    preferences[name] = value;
+    util.writeJSON(PREFERENCES_FILE, preferences);
+}
+
 function settings() {
     // Constructor for the settings object that is made available to other
     // objects in the program. The getters on the object it returns provide
@@ -32,31 +52,98 @@ function settings() {
     // Private variables
     let soundElem = document.querySelector("input[type=checkbox][value=sound]");
     let showElem = document.querySelector("input[type=checkbox][value=showMenu]");
+    let groupElem = document.querySelector("input[type=checkbox][value=groupScan]");
+    let auditoryElem = document.querySelector("input[type=checkbox][value=auditoryMode]");
+    let progressElem = document.querySelector("input[type=checkbox][value=scanProgress]");
     let slider = makeSlider(0, 3, 1.5, "scan");
     let gazeSlider = makeSlider(0, 1, .6, "gaze");
+    let loopsSlider = makeSlider(1, 5, 2, "scanLoops", "loops", 1);
+    let longGazeSlider = makeSlider(1.5, 5, 2, "longGaze"); // Always longer than the gaze speed, so that a short select is possible.
+    let startGazeSlider = makeSlider(0.5, 5, 2, "startGaze");
+    let stepTimeoutSlider = makeSlider(0, 120, 0, "stepTimeout", "s", 5);
+    let undoWindowSlider = makeSlider(0.5, 5, 2, "undoWindow");
+    let sleepGazeSlider = makeSlider(5, 30, 10, "sleepGaze", "s", 1);
+    let wakeGazeSlider = makeSlider(0.5, 10, 3, "wakeGaze");
+    let enterSlider = makeSlider(1, 10, 2, "enterFrames", "frames", 1);
+    let exitSlider = makeSlider(1, 10, 2, "exitFrames", "frames", 1);
+    let marginSlider = makeSlider(0, 50, 10, "gazeMargin", "%", 1);
+    let adaptSlider = makeSlider(0, 5, 1, "adaptRate", "%", 0.5);
+    let listenRateSlider = makeSlider(1, 20, 5, "listenRate", "Hz", 1);
+    let scanRateSlider = makeSlider(5, 30, 20, "scanRate", "Hz", 1);
+    let gamepadSlider = makeSlider(0.1, 1, 0.5, "gamepadThreshold", "");
+    let soundThresholdSlider = makeSlider(1.5, 10, 3, "soundThreshold", "x", 0.5);
+    let soundTimeSlider = makeSlider(0.05, 1, 0.15, "soundMinTime");
+    let blinkThresholdSlider = makeSlider(1.5, 10, 4, "blinkThreshold", "x", 0.5);
+    let blinkTimeSlider = makeSlider(0.2, 2, 0.5, "blinkMinTime");
+    let rateSliders = { prompt: makeSlider(0.5, 2, 1, "promptRate", "x", 0.1),
+                        output: makeSlider(0.5, 2, 1, "outputRate", "x", 0.1) };
+    let scanModeChoice = makeChoice("scanMode", "automatic");
+    let undoChoice = makeChoice("undoTrigger", "off");
+    let wakeChoice = makeChoice("wakeGesture", "gaze");
     let emailSettings = makeEmailSettings();
+    let gestureActions = makeGestureSettings(); // Before the language, which translates its menus.
     let layout = makeLayoutSettings();
     let language = makeLanguageSettings();
+    let preprocessing = makePreprocessSettings();
+    makeHighlightSettings();
+
+    // Group scanning, auditory mode and the progress bar are kept with the
+    // user preferences.
+    [[groupElem, "groupScan"], [auditoryElem, "auditoryMode"], [progressElem, "scanProgress"]].forEach(function([elem, name]) {
+        elem.checked = readPreferences()[name] === true;
+        elem.addEventListener("change", () => savePreference(name, elem.checked));
+    });
 
     // The public object.
     let that = {
         useSound: () => soundElem.checked,
+        useGroupScanning: () => groupElem.checked,
+        useAuditoryMode: () => auditoryElem.checked,
+        useScanProgress: () => progressElem.checked,
         getLanguageSettings: () => language,
         getScanSpeed: () => slider.getms(),
         getGazeSpeed: () => gazeSlider.getms(),
+        setGazeSpeed: (seconds) => gazeSlider.setValue(seconds),
+        getScanMode: () => scanModeChoice.getValue(),
+        getScanLoops: () => loopsSlider.getValue(),
+        getLongGazeTime: () => longGazeSlider.getms(),
+        getStartGazeTime: () => startGazeSlider.getms(),
+        getStepTimeout: () => stepTimeoutSlider.getms(),
+        getUndoTrigger: () => undoChoice.getValue(),
+        getUndoWindow: () => undoWindowSlider.getms(),
+        getSleepGazeTime: () => sleepGazeSlider.getms(),
+        getWakeGesture: () => wakeChoice.getValue(),
+        getWakeGazeTime: () => wakeGazeSlider.getms(),
+        getEnterFrames: () => enterSlider.getValue(),
+        getExitFrames: () => exitSlider.getValue(),
+        getGazeMargin: () => marginSlider.getValue() / 100,
+        getAdaptRate: () => adaptSlider.getValue() / 100,
+        getListenRate: () => listenRateSlider.getValue(),
+        getScanRate: () => scanRateSlider.getValue(),
+        getGamepadThreshold: () => gamepadSlider.getValue(),
+        getSoundThreshold: () => soundThresholdSlider.getValue(),
+        getSoundMinTime: () => soundTimeSlider.getms(),
+        getBlinkThreshold: () => blinkThresholdSlider.getValue(),
+        getBlinkMinTime: () => blinkTimeSlider.getms(),
+        getSpeechRate: (role) => rateSliders[role].getValue(),
         addShowMenuListener: (listener) =>
             showElem.addEventListener("change", listener),
         getEmailSettings: () => emailSettings,
-        getLayout: () => layout
+        getLayout: () => layout,
+        getPreprocessing: () => preprocessing.getPipeline(),
+        getGestureAction: (gesture) => gestureActions.getAction(gesture),
+        getPreference: (name) => readPreferences()[name],
+        setPreference: savePreference
     };
 
     return that;
 }
 
-function makeSlider(vmin, vmax, vinit, name) {
+function makeSlider(vmin, vmax, vinit, name, unit = "s", step = 0.01) {
     // Constructor for slider object. Relies on the jQuery UI toolkit to create
-    // the slider element. Exports a single getter, which returns the value
-    // of the sider.
+    // the slider element. Exports getters which return the value of the
+    // slider. Most sliders hold a time in seconds; others give their unit
+    // (e.g. "%"), and the step between values, as extra arguments.
 
     // Constants
     const SCALE = 100;
@@ -66,13 +153,15 @@ function makeSlider(vmin, vmax, vinit, name) {
     let preferences = readPreferences();
 
     // Internal variables and methods.
-    let sliderValue = preferences[name] || vinit; //If this did not have the property 'name' use 'vinit'
+    let sliderValue = preferences[name] !== undefined ? preferences[name] : vinit; //If this did not have the property 'name' use 'vinit'
+    let listeners = [];
     let containerElem = document.getElementById(name + "SliderContainer");
     let sliderElem = document.getElementById(name + "Slider");
     let valueElem = document.getElementById(name + "SliderValue");
     let s = jQuery(sliderElem).slider({
         min: vmin * SCALE,
         max: vmax * SCALE,
+        step: step * SCALE,
         value: sliderValue * SCALE,
         slide: updateValue,
         change: updateValue
@@ -83,41 +172,46 @@ function makeSlider(vmin, vmax, vinit, name) {
         let v = s.slider("value");
         sliderValue = parseFloat(v) / SCALE;
         let stringValue = sliderValue.toString();
-        valueElem.textContent = `${stringValue} s`;
-        savePreferences();
+        valueElem.textContent = `${stringValue} ${unit}`;
+        savePreference(name, sliderValue);
+        listeners.forEach((listener) => listener(sliderValue));
     }
-    /*
-     *      This allows the user to save some preferences
-     */
-    function savePreferences() {
-        //Read local preferences
-        let preferences = readPreferences();
-        preferences[name] = sliderValue;
-        try {
-            fs.writeFileSync("./preferences.json", JSON.stringify(preferences));
-        } catch (e) {
 
-        }
-    }
-    /*
-     *      This restores user preferences already saved
-     */
-    function readPreferences() {
-        try {
-            let data = fs.readFileSync("./preferences.json");
-            return JSON.parse(data);
-        } catch (e) {
-            return {};
-        }
+    // The returned object.
+    let that = {
+        getValue: () => sliderValue,
+        getms: () => sliderValue * 1000,
+        setValue: (value) => s.slider("value", value * SCALE), // Triggers updateValue.
+        addChangeListener: (listener) => listeners.push(listener)
+    };
+
+    // Initialize and return.
+    updateValue();
+    return that;
+}
+
+function makeChoice(name, vinit) {
+    // Constructor for an object holding the choice made in the dropdown menu
+    // with the given name. The options are given in the DOM. Like the sliders,
+    // the choice is saved with the user preferences.
+
+    // Internal variables and methods.
+    let selectElem = document.querySelector(`select[name=${name}]`);
+    let preferences = readPreferences();
+
+    function update() {
+        savePreference(name, selectElem.value);
     }
 
     // The returned object.
     let that = {
-        getms: () => sliderValue * 1000
+        getValue: () => selectElem.value,
+        addChangeListener: (listener) => selectElem.addEventListener("change", listener)
     };
 
     // Initialize and return.
-    updateValue();
+    selectElem.value = preferences[name] !== undefined ? preferences[name] : vinit;
+    selectElem.addEventListener("change", update);
     return that;
 }
 
@@ -175,6 +269,156 @@ function makeEmailSettings() {
     return that;
 }
 
+function makePreprocessSettings() {
+    // Constructor for an object which stores the image preprocessing stages
+    // selected by the user. Each stage has a checkbox in the DOM whose value is
+    // the name of the stage; the names of the checked stages are saved with the
+    // user preferences.
+
+    // Private variables
+    let boxes = document.querySelectorAll("input[type=checkbox][name=preprocess]");
+    let pipeline = readPreferences().preprocess || [];
+
+    function update() {
+        // Invoked when the user checks or unchecks a stage.
+        pipeline = [].filter.call(boxes, (box) => box.checked).map((box) => box.value);
+        savePreference("preprocess", pipeline);
+    }
+
+    // Returned object.
+    let that = {
+        getPipeline: () => pipeline
+    };
+
+    // Initialize and return.
+    [].forEach.call(boxes, function(box) {
+        box.checked = pipeline.indexOf(box.value) !== -1;
+        box.addEventListener("change", update);
+    });
+    return that;
+}
+
+function makeGestureSettings() {
+    // Constructor for an object which stores what each gesture does while
+    // scanning (e.g. select the highlighted button, or move on to the next).
+    // Each gesture gets a dropdown menu of the actions, marked with the name
+    // of the gesture; the choices are saved with the user preferences. Only a
+    // selecting gesture can start a scan, so some gesture must always select.
+
+    // Constants
+    const DEFAULT_ACTIONS = { gaze: "select", left: "back", right: "next", closed: "pause", switch2: "next" };
+    const GESTURE_NAMES = { gaze: { en: "Up", fr: "Haut", es: "Arriba" },
+                            left: { en: "Left", fr: "Gauche", es: "Izquierda" },
+                            right: { en: "Right", fr: "Droite", es: "Derecha" },
+                            closed: { en: "Eyes Closed", fr: "Yeux Fermés", es: "Ojos Cerrados" },
+                            switch2: { en: "Second Switch", fr: "Second Contacteur", es: "Segundo Pulsador" } };
+    const ACTION_NAMES = { select: { en: "Select", fr: "Sélectionner", es: "Seleccionar" },
+                           next: { en: "Next", fr: "Suivant", es: "Siguiente" },
+                           back: { en: "Back", fr: "Retour", es: "Atrás" },
+                           pause: { en: "Pause", fr: "Pause", es: "Pausa" },
+                           callBell: { en: "Call Bell", fr: "Sonnette d’Appel", es: "Timbre de Llamada" },
+                           none: { en: "Nothing", fr: "Rien", es: "Nada" } };
+
+    // Private variables
+    let container = document.getElementById("gestureSettings");
+    let gestures = GESTURES.concat("switch2"); // The key detector's second switch.
+    let actions = Object.assign({}, DEFAULT_ACTIONS, readPreferences().gestureActions);
+
+    const anySelects = () => gestures.some((gesture) => actions[gesture] === "select");
+
+    function addMenu(gesture) {
+        // Add the dropdown menu of actions for a gesture, with its label.
+        let p = document.createElement("p");
+        let label = document.createElement("span");
+        label.dataset.languages = JSON.stringify(GESTURE_NAMES[gesture]);
+        let select = document.createElement("select");
+        select.name = "gestureAction";
+        select.dataset.gesture = gesture;
+        Object.keys(ACTION_NAMES).forEach(function(action) {
+            let opt = document.createElement("option");
+            opt.value = action;
+            opt.dataset.languages = JSON.stringify(ACTION_NAMES[action]);
+            select.add(opt);
+        });
+        select.value = actions[gesture];
+        select.addEventListener("change", update);
+        p.appendChild(label);
+        p.appendChild(select);
+        container.appendChild(p);
+    }
+
+    function update(event) {
+        // Invoked when the user picks a new action for a gesture. A change
+        // that leaves no gesture to select is undone.
+        let select = event.target;
+        let previous = actions[select.dataset.gesture];
+        actions[select.dataset.gesture] = select.value;
+        if (!anySelects()) {
+            actions[select.dataset.gesture] = previous;
+            select.value = previous;
+            return;
+        }
+        savePreference("gestureActions", actions);
+    }
+
+    // Returned object.
+    let that = {
+        getAction: (gesture) => actions[gesture] || "none"
+    };
+
+    // Initialize and return. Saved actions without a selecting gesture are
+    // replaced by the defaults.
+    if (!anySelects()) {
+        actions = Object.assign({}, DEFAULT_ACTIONS);
+    }
+    gestures.forEach(addMenu);
+    return that;
+}
+
+function makeHighlightSettings() {
+    // Constructor for the highlight theme: how the button under point looks
+    // while scanning. Users with low vision may want a brighter color, a
+    // thick border, a bigger button or a flashing one. The theme is applied
+    // through CSS custom properties on the document (see cbstyle.css), and
+    // kept with the user preferences.
+
+    // Constants
+    const CONTRASTS = {         // For each highlight color, text and progress bar colors that stand out on it.
+        blue: { text: "#ffffff", progress: "var(--yellow)" },
+        red: { text: "#ffffff", progress: "var(--yellow)" },
+        green: { text: "#ffffff", progress: "var(--base3)" },
+        violet: { text: "#ffffff", progress: "var(--yellow)" },
+        yellow: { text: "var(--base03)", progress: "var(--base03)" }
+    };
+
+    // Internal variables and methods.
+    let root = document.documentElement;
+    let flashElem = document.querySelector("input[type=checkbox][value=flashHighlight]");
+    let colorChoice = makeChoice("highlightColor", "blue");
+    let borderSlider = makeSlider(0, 10, 0, "highlightBorder", "px", 1);
+    let scaleSlider = makeSlider(1, 1.5, 1, "highlightScale", "x", 0.05);
+
+    function apply() {
+        // Set the custom properties from the controls.
+        let color = colorChoice.getValue();
+        root.style.setProperty("--highlight-color", `var(--${color})`);
+        root.style.setProperty("--highlight-text", CONTRASTS[color].text);
+        root.style.setProperty("--progress-color", CONTRASTS[color].progress);
+        root.style.setProperty("--highlight-border", `${borderSlider.getValue()}px`);
+        root.style.setProperty("--highlight-scale", scaleSlider.getValue());
+        document.body.classList.toggle("flashHighlight", flashElem.checked);
+    }
+
+    // Initialize.
+    flashElem.checked = readPreferences().flashHighlight === true;
+    flashElem.addEventListener("change", function() {
+        savePreference("flashHighlight", flashElem.checked);
+        apply();
+    });
+    [colorChoice, borderSlider, scaleSlider].forEach((control) => control.addChangeListener(apply));
+    apply();
+}
+
 function makeLayoutSettings() {
     // Constructor for an object which controls the commboard layout. This user
     // allows the user to select a layout from the corresponding dropdown menu,
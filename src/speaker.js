@@ -6,6 +6,12 @@
 // just speaks the string. If it is given an object, it assumes it is a table
 // keyed by language. It speaks the correct phrase for the language that the
 // user has selected.
+//
+// Speech has one of two roles. Prompts (the default) are what the program says
+// to guide the user, such as button announcements. Output is the user's own
+// message, read out loud. Each role has its own voice and rate, so that a user
+// who scans by ear can tell them apart. The speaker also plays earcons, short
+// sequences of tones that mark events such as entering a menu.
 
 const _ = require("underscore");
 
@@ -21,39 +27,49 @@ function speaker(settings) {
     // The returned object exposes methods to speak text both synchronously and
     // asynchronously.
 
+    // Constants
+    const EARCON_DURATION = 80;   // Each tone of an earcon lasts 80 ms.
+    const EARCONS = { enterMenu: [523, 784],  // A rising fifth,
+                      exitMenu: [784, 523] }; // and a falling one.
+
     // Private variables
     const audioContext = new window.AudioContext();
-    let voice;           // The current voice being used by the speaker.
     let voices;          // All available voices for the current language.
-    let voiceElem = document.querySelector("select[name=voice]");
+    let roles = {        // For each role, the dropdown menu of voices, and the voice chosen.
+        prompt: { voiceElem: document.querySelector("select[name=voice]"), voice: undefined },
+        output: { voiceElem: document.querySelector("select[name=outputVoice]"), voice: undefined }
+    };
     let demoElem = document.querySelector("input[type=button][name=demo]");
+    let outputDemoElem = document.querySelector("input[type=button][name=outputDemo]");
 
     // Private methods
     const getLanguage = settings.getLanguageSettings().getLanguage;
-    function demo() {
-        // Speak a demo with the current voice.
-        const msg = { en: `Hello, my name is ${voice.name}`,
-                      fr: `Bonjour, mon nom est ${voice.name}`,
-                      es: `Hola, me llamo ${voice.name}`};
-        speakSync(msg[getLanguage()], voice);
+    function demo(role) {
+        // Speak a demo with the current voice of a role.
+        let name = roles[role].voice.name;
+        const msg = { en: `Hello, my name is ${name}`,
+                      fr: `Bonjour, mon nom est ${name}`,
+                      es: `Hola, me llamo ${name}`};
+        speakSync(msg[getLanguage()], role);
     }
-    function clearVoices() {
-        // Clear all voices from the dropdown menu. To be executed when the user switches languages.
+    function clearVoices(voiceElem) {
+        // Clear all voices from a dropdown menu. To be executed when the user switches languages.
         let options = voiceElem.options;
         let nvoices = options.length;
         [].reverse.call(_.range(nvoices)).forEach((i) => options[i] = null);
     }
 
     function initVoices() {
-        // Initialize the voices in the dropdown menu and register event handlers.
-        voiceElem.addEventListener("change", setVoice);      // Set voice when selection made.
-        demoElem.addEventListener("click", demo);            // Speak current voice as demo.
+        // Initialize the voices in the dropdown menus and register event handlers.
+        Object.keys(roles).forEach((role) => roles[role].voiceElem.addEventListener("change", setVoice)); // Set voice when selection made.
+        demoElem.addEventListener("click", () => demo("prompt"));         // Speak current voice as demo.
+        outputDemoElem.addEventListener("click", () => demo("output"));
         updateVoices();
     }
 
     function updateVoices() {
         // To be invoked the list of voices is initialized, and after the user changes languages.
-        function each(entry, ix) {
+        function each(voiceElem, entry, ix) {
             // Performed for each entry in the array of voices.
             let name = entry.name;
             let opt = document.createElement("option");
@@ -62,20 +78,26 @@ function speaker(settings) {
             voiceElem.add(opt);
         }
         const correctLanguage = (voice) => voice.lang.includes(getLanguage());
-        clearVoices();
         voices = window.speechSynthesis.getVoices().filter(correctLanguage);
-        voices.forEach(each);
-        setVoice(voices);
+        Object.keys(roles).forEach(function(role) {
+            let voiceElem = roles[role].voiceElem;
+            clearVoices(voiceElem);
+            voices.forEach((entry, ix) => each(voiceElem, entry, ix));
+        });
+        setVoice();
     }
     function setVoice() {
-        // Call this whenever the user changes the voice button.
-        let ix = parseInt(voiceElem.value);
-        voice = voices[ix];
+        // Call this whenever the user changes a voice button.
+        Object.keys(roles).forEach(function(role) {
+            let ix = parseInt(roles[role].voiceElem.value);
+            roles[role].voice = voices[ix];
+        });
     }
 
     // Public methods
-    function speakSync(text) {
-        // Speak the text, synchronously.
+    function speakSync(text, role = "prompt") {
+        // Speak the text, synchronously, in the voice and at the rate of the
+        // given role.
         // There are two input types that are handled seperately.
         //   string: The input text is read directly.
         //   object: The input is assumed to be a map from languages to
@@ -88,12 +110,13 @@ function speaker(settings) {
         }
         let utterance = new window.SpeechSynthesisUtterance(toSpeak.toLowerCase());
         utterance.lang = getLanguage();
-        utterance.voice = voice;
+        utterance.voice = roles[role].voice;
+        utterance.rate = settings.getSpeechRate(role);
         window.speechSynthesis.speak(utterance);
         return utterance;
     }
 
-    function speakAsync(text, cb, element, delay = 1000) {
+    function speakAsync(text, cb, element, delay = 1000, role = "prompt") {
         // Speak the text, asynchronously. When finished, this procedure invokes a
         // callback to continue the program.
         // Note that a DOM element is passed in. The speech event is stored on the
@@ -102,24 +125,39 @@ function speaker(settings) {
         function afterRead() {
             setTimeout(cb, delay);
         }
-        let utterance = speakSync(text);
+        let utterance = speakSync(text, role);
         utterance.addEventListener("end", afterRead);
         element.utterance = utterance;
     }
 
+    let beeping = 0;            // The number of beeps currently sounding.
+
     function beep(freq, duration) {
         // Emit a pure tone of the requested frequency and duration.
         let oscillator = audioContext.createOscillator();
         oscillator.frequency.value = freq;
         oscillator.connect(audioContext.destination);
         oscillator.start();
-        setTimeout(() => oscillator.stop(), duration);
+        beeping += 1;
+        setTimeout(() => { oscillator.stop(); beeping -= 1; }, duration);
+    }
+
+    function earcon(name) {
+        // Play the tones of an earcon, one after the other.
+        EARCONS[name].forEach((freq, i) =>
+                              setTimeout(() => beep(freq, EARCON_DURATION), i * EARCON_DURATION));
     }
 
     let risingTone = new Audio('rise.mp3');
     let tonePlaying = false;
     let timeout;
 
+    function isSounding() {
+        // Is the program making any sound (speech, beeps, or the rising
+        // tone)? Lets the audio detector ignore the program's own output.
+        return window.speechSynthesis.speaking || tonePlaying || beeping > 0;
+    }
+
     //Ryan Campbell 2/27/2017
     //Start playing the rising tone and end with a beep after duration ms.
     function toneStart(duration) {
@@ -149,6 +187,9 @@ function speaker(settings) {
     return { speakSync,
              speakAsync,
              beep,
+             earcon,
              toneStart,
-             toneStop };
+             toneStop,
+             isSounding,
+             getAudioContext: () => audioContext };
 }
@@ -2,6 +2,7 @@
 
 const _ = require("underscore");
 const format = require("number-format.js");
+const fs = require("fs");
 
 // Helper procedures
 
@@ -12,7 +13,10 @@ module.exports = { repeat,
                    all,
                    renameKeys,
                    format,
-                   setDebug
+                   setDebug,
+                   readJSON,
+                   writeJSON,
+                   describeRange
                  };
 
 function repeat(x, n) {
@@ -61,3 +65,44 @@ function renameKeys(obj, keys) {
 function setDebug(m) {
     document.getElementById("debug").innerHTML = m;
 }
+
+function readJSON(path) {
+    // Read and parse a JSON file. Return an empty object if the file is missing
+    // or can't be parsed, so callers can fall back on their defaults.
+    try {
+        return JSON.parse(fs.readFileSync(path));
+    } catch (e) {
+        return {};
+    }
+}
+
+function writeJSON(path, obj) {
+    // Write obj to disk as JSON. Failures are logged rather than thrown; losing
+    // a saved setting shouldn't stop the program.
+    try {
+        fs.writeFileSync(path, JSON.stringify(obj));
+    } catch (e) {
+        console.log(`Could not write ${path}.`);
+    }
+}
+
+function describeRange(buttons, language, prefix = {}) {
+    // Describe a run of buttons by its first and last non-empty buttons, in
+    // every language, e.g. { en: "a to f", ... }, each preceded by its prefix
+    // (e.g. { en: "row ", ... }). Button announcements are taken in the given
+    // language. Returns null if every button is empty.
+    const getText = function(button) {
+        let announcement = button.getAnnouncement();
+        return typeof announcement === "string" ? announcement : (announcement[language] || announcement.en);
+    };
+    let texts = buttons.filter((button) => !button.isEmpty()).map(getText);
+    if (texts.length === 0) {
+        return null;
+    }
+    let first = texts[0];
+    let last = texts[texts.length - 1];
+    const range = (to) => texts.length === 1 ? first : `${first} ${to} ${last}`;
+    return { en: (prefix.en || "") + range("to"),
+             fr: (prefix.fr || "") + range("à"),
+             es: (prefix.es || "") + range("a") };
+}
@@ -6,6 +6,9 @@ const buffer = require("./buffer.js");
 const settings = require("./settings.js");
 const scanner = require("./scanner.js");
 const speaker = require("./speaker.js");
+const recorder = require("./recorder.js");
+const diagnostics = require("./diagnostics.js");
+const calibration = require("./calibration.js");
 
 // This is the top-level script that pulls in all the relevant modules and
 // initializes all objects needed for the program.
@@ -15,8 +18,12 @@ window.addEventListener("load", setup);
 function setup() {
     // Top-level setup to initialize the objects of the program.
     let st = settings();
-    let det = detector({ settings: st });
+    let rec = recorder();
     let sp = speaker(st);
+    let det = detector({ settings: st,
+                         recorder: rec,
+                         speaker: sp });
+    diagnostics(det);
     let buf = buffer(sp);
 
     // Create menus (and implicitly buttons).
@@ -26,7 +33,10 @@ function setup() {
                      speaker: sp });
 
     // Create the scanner.
-    let sc = scanner(ms.composeMain, det, st, sp);
+    let sc = scanner(ms.composeMain, det, st, sp, rec);
+
+    // Create the calibration wizard.
+    calibration(det, st, sp);
     window.s = st;
     window.buf = buf;
 }